@@ -0,0 +1,59 @@
+// Helpers for bulk ZIP downloads: safe, unique entry names and the manifest
+// (JSON and CSV) describing every file in the archive.
+const path = require('path');
+
+const MANIFEST_COLUMNS = ['id', 'file', 'title', 'description', 'uploader_name', 'tags', 'upload_date', 'like_count', 'download_count'];
+
+// Entry name for an upload: its original filename without any directory part
+// or control characters, falling back to the stored name.
+function entryName(row) {
+    const base = path.basename(String(row.original_name || '').replace(/\\/g, '/'))
+        .replace(/[\x00-\x1f\x7f]/g, '')
+        .trim();
+    const name = base && base !== '.' && base !== '..' ? base : row.filename;
+    return path.extname(name) ? name : name + path.extname(row.filename);
+}
+
+// Resolve collisions the way file managers do: "photo.jpg", "photo (2).jpg", ...
+// `used` is a Set of lower-cased names already in the archive.
+function uniqueEntryName(name, used) {
+    const { name: stem, ext } = path.parse(name);
+    let candidate = name;
+    for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+        candidate = `${stem} (${n})${ext}`;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+}
+
+function csvField(value) {
+    const text = Array.isArray(value) ? value.join('; ') : String(value === null || value === undefined ? '' : value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(entries) {
+    const lines = [MANIFEST_COLUMNS.join(',')];
+    entries.forEach((entry) => {
+        lines.push(MANIFEST_COLUMNS.map((col) => csvField(entry[col])).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+// Filesystem-friendly slug for archive names ("Top of March!" -> "top-of-march")
+function slugify(text, fallback = 'download') {
+    const slug = String(text || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 60);
+    return slug || fallback;
+}
+
+module.exports = {
+    MANIFEST_COLUMNS,
+    entryName,
+    uniqueEntryName,
+    toCsv,
+    slugify
+};
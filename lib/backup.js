@@ -0,0 +1,429 @@
+// Backup archives: a gzipped tar holding a consistent database snapshot, the
+// upload files it references and a manifest with their checksums.
+//
+//   database.sqlite          snapshot taken with SQLite's online backup API
+//   uploads/<file>           originals, archived versions and derivatives/
+//   manifest.json            written last: format, schema version, selection,
+//                            counts and { path, size, sha256 } of every entry
+//
+// A selective export (tag, uploader, date range) prunes the snapshot down to
+// the matching uploads before packing it, so the archive never contains rows
+// or files outside the selection.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { pipeline, finished } = require('stream/promises');
+const sqlite3 = require('sqlite3');
+const tar = require('tar-stream');
+const { parseVariants } = require('./images');
+const { normalizeTag } = require('./tags');
+const { promiseDb, loadMigrations, migrateUp } = require('./migrations');
+const { isValidKey } = require('./storage');
+const { mimeForExtension } = require('./imageType');
+
+const FORMAT = 'pixelvault-backup';
+const FORMAT_VERSION = 1;
+const DATABASE_ENTRY = 'database.sqlite';
+const MANIFEST_ENTRY = 'manifest.json';
+const UPLOADS_PREFIX = 'uploads/';
+
+// uploads/<storage key>; anything else is refused so an archive cannot write
+// outside the storage root
+function isUploadEntry(name) {
+    return name.startsWith(UPLOADS_PREFIX) && isValidKey(name.slice(UPLOADS_PREFIX.length));
+}
+
+function openDatabase(file, mode = sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE) {
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(file, mode, (err) => (err ? reject(err) : resolve(db)));
+    });
+}
+
+function closeDatabase(db) {
+    return new Promise((resolve, reject) => db.close((err) => (err ? reject(err) : resolve())));
+}
+
+// Copy the live database page by page in one step, so the snapshot is
+// consistent even while the server keeps writing
+function snapshotDatabase(dbPath, dest) {
+    return openDatabase(dbPath, sqlite3.OPEN_READONLY).then((source) => new Promise((resolve, reject) => {
+        const backup = source.backup(dest, (err) => {
+            if (err) return reject(err);
+            backup.step(-1, (stepErr) => {
+                backup.finish(() => {
+                    source.close();
+                    if (stepErr) reject(stepErr);
+                    else if (!backup.completed) reject(new Error('Database snapshot did not complete'));
+                    else resolve();
+                });
+            });
+        });
+    }));
+}
+
+// 'YYYY-MM-DD' or an ISO date/time -> 'YYYY-MM-DD HH:MM:SS' (UTC), the
+// format of upload_date. A bare date as the end of a range includes that day.
+function toDbDate(value, name, endOfRange = false) {
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) throw new Error(`${name} must be a date (YYYY-MM-DD) or ISO date/time`);
+    const date = new Date(time);
+    if (endOfRange && /^\d{4}-\d{2}-\d{2}$/.test(value)) date.setUTCDate(date.getUTCDate() + 1);
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// { tag, uploader, from, to } from the command line -> normalized selection,
+// or null for a full export
+function parseSelection({ tag, uploader, from, to } = {}) {
+    const selection = {};
+    if (tag !== undefined) {
+        selection.tag = normalizeTag(tag);
+        if (!selection.tag) throw new Error(`Invalid tag: ${tag}`);
+    }
+    if (uploader !== undefined) {
+        selection.uploader = String(uploader).trim();
+        if (!selection.uploader) throw new Error('uploader must not be empty');
+    }
+    if (from !== undefined) selection.from = toDbDate(from, 'from');
+    if (to !== undefined) selection.to = toDbDate(to, 'to', true);
+    if (selection.from && selection.to && selection.from >= selection.to) {
+        throw new Error('from must be before to');
+    }
+    return Object.keys(selection).length ? selection : null;
+}
+
+// Delete everything outside the selection from a snapshot. Only visible
+// uploads are kept; moderation data (bans, audit log) stays with the instance.
+async function pruneSnapshot(q, selection) {
+    const where = ['hidden = 0', 'deleted_at IS NULL', 'broken_at IS NULL'];
+    const params = [];
+    if (selection.tag) {
+        where.push('id IN (SELECT ut.upload_id FROM upload_tags ut JOIN tags t ON t.id = ut.tag_id WHERE t.name = ?)');
+        params.push(selection.tag);
+    }
+    if (selection.uploader) {
+        where.push('uploader_name = ? COLLATE NOCASE');
+        params.push(selection.uploader);
+    }
+    if (selection.from) {
+        where.push('upload_date >= ?');
+        params.push(selection.from);
+    }
+    if (selection.to) {
+        where.push('upload_date < ?');
+        params.push(selection.to);
+    }
+
+    await q.exec('PRAGMA foreign_keys = ON');
+    // Comments, likes, tag links, colours, album items and versions go with their upload
+    await q.run(`DELETE FROM uploads WHERE id NOT IN (SELECT id FROM uploads WHERE ${where.join(' AND ')})`, params);
+    await q.exec(`
+        DELETE FROM events WHERE upload_id NOT IN (SELECT id FROM uploads);
+        DELETE FROM albums WHERE id NOT IN (SELECT album_id FROM album_items);
+        DELETE FROM tags WHERE id NOT IN (SELECT tag_id FROM upload_tags);
+        DELETE FROM reports
+        WHERE NOT (target_type = 'upload' AND target_id IN (SELECT id FROM uploads))
+          AND NOT (target_type = 'comment' AND target_id IN (SELECT id FROM comments));
+        DELETE FROM bans;
+        DELETE FROM admin_audit;
+        UPDATE blobs SET ref_count = (SELECT COUNT(*) FROM uploads WHERE content_hash = blobs.hash)
+                                   + (SELECT COUNT(*) FROM upload_versions WHERE content_hash = blobs.hash);
+        DELETE FROM blobs WHERE ref_count = 0;
+    `);
+    // Rewrite the file so deleted rows do not linger in free pages
+    await q.exec('VACUUM');
+}
+
+// Storage keys of every file the database refers to
+async function referencedFiles(q) {
+    const rows = [
+        ...await q.all('SELECT filename, variants FROM uploads'),
+        ...await q.all('SELECT filename, variants FROM upload_versions')
+    ];
+    const files = new Set();
+    rows.forEach((row) => {
+        files.add(row.filename);
+        Object.values(parseVariants(row.variants) || {}).forEach((v) => {
+            if (v.webp) files.add(v.webp);
+            if (v.jpeg) files.add(v.jpeg);
+        });
+    });
+    return [...files].sort();
+}
+
+async function countRows(q) {
+    const row = await q.get(`SELECT
+        (SELECT COUNT(*) FROM uploads) AS uploads,
+        (SELECT COUNT(*) FROM upload_versions) AS versions,
+        (SELECT COUNT(*) FROM albums) AS albums,
+        (SELECT COUNT(*) FROM comments) AS comments`);
+    return { ...row };
+}
+
+async function schemaVersion(q) {
+    const row = await q.get('SELECT MAX(version) AS version FROM schema_migrations');
+    return row.version || 0;
+}
+
+function latestSchemaVersion() {
+    const migrations = loadMigrations();
+    return migrations.length ? migrations[migrations.length - 1].version : 0;
+}
+
+// Stream `input` (exactly `size` bytes) into the tarball, hashing it on the way
+async function packStream(pack, { name, size, mtime }, input) {
+    const hash = crypto.createHash('sha256');
+    input.on('data', (chunk) => hash.update(chunk));
+    await new Promise((resolve, reject) => {
+        const entry = pack.entry({ name, size, mtime: mtime || new Date() }, (err) => (err ? reject(err) : resolve()));
+        input.on('error', reject);
+        input.pipe(entry);
+    });
+    return { path: name, size, sha256: hash.digest('hex') };
+}
+
+// Write an archive of the instance (or of `selection`) to `out`.
+// Resolves to the manifest.
+async function exportArchive({ dbPath, storage, out, selection = null, log = () => {} }) {
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'pixelvault-export-'));
+    const partial = `${out}.partial`;
+    try {
+        const snapshotPath = path.join(workDir, DATABASE_ENTRY);
+        await snapshotDatabase(dbPath, snapshotPath);
+        log('Database snapshot taken');
+
+        const snapshot = await openDatabase(snapshotPath);
+        const q = promiseDb(snapshot);
+        let files;
+        let counts;
+        let version;
+        try {
+            // Bring the copy up to date so every archive has the current schema
+            await migrateUp(snapshot, { log });
+            if (selection) await pruneSnapshot(q, selection);
+            files = await referencedFiles(q);
+            counts = await countRows(q);
+            version = await schemaVersion(q);
+        } finally {
+            await closeDatabase(snapshot);
+        }
+
+        const pack = tar.pack();
+        const written = pipeline(pack, zlib.createGzip(), fs.createWriteStream(partial));
+        const { size, mtime } = await fs.promises.stat(snapshotPath);
+        const entries = [await packStream(pack, { name: DATABASE_ENTRY, size, mtime }, fs.createReadStream(snapshotPath))];
+        const missing = [];
+        for (const key of files) {
+            const info = isValidKey(key) ? await storage.stat(key) : null;
+            if (!info) {
+                log(`Warning: ${key} is referenced by the database but missing`);
+                missing.push(key);
+                continue;
+            }
+            const name = UPLOADS_PREFIX + key;
+            entries.push(await packStream(pack, { name, size: info.size, mtime: info.modified }, await storage.getStream(key)));
+        }
+
+        const manifest = {
+            format: FORMAT,
+            format_version: FORMAT_VERSION,
+            created_at: new Date().toISOString(),
+            schema_version: version,
+            selection,
+            counts: { ...counts, files: entries.length - 1 },
+            missing_files: missing,
+            entries
+        };
+        pack.entry({ name: MANIFEST_ENTRY }, JSON.stringify(manifest, null, 2));
+        pack.finalize();
+        await written;
+        await fs.promises.rename(partial, out);
+        return manifest;
+    } catch (err) {
+        await fs.promises.rm(partial, { force: true });
+        throw err;
+    } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+}
+
+// Read every entry of an archive, checking it against the manifest and the
+// database inside it. The database is always written to `stageDir`; upload
+// files only when `extractFiles` is set (for import).
+// Resolves to { manifest, problems, warnings }.
+async function scanArchive(file, { stageDir, extractFiles = false }) {
+    const seen = new Map();
+    const problems = [];
+    let manifest = null;
+
+    const extract = tar.extract();
+    extract.on('entry', (header, stream, next) => {
+        const handle = async () => {
+            const { name } = header;
+            if (header.type === 'directory') {
+                stream.resume();
+                return finished(stream);
+            }
+            if (header.type !== 'file' || seen.has(name)
+                || (name !== DATABASE_ENTRY && name !== MANIFEST_ENTRY && !isUploadEntry(name))) {
+                problems.push(`Unexpected entry: ${name}`);
+                stream.resume();
+                return finished(stream);
+            }
+            let dest = null;
+            if (name === DATABASE_ENTRY) dest = path.join(stageDir, DATABASE_ENTRY);
+            else if (name !== MANIFEST_ENTRY && extractFiles) dest = path.join(stageDir, name);
+            if (dest) await fs.promises.mkdir(path.dirname(dest), { recursive: true });
+
+            // The 'data' listener starts the flow, so it is attached right before consuming
+            const hash = crypto.createHash('sha256');
+            const chunks = [];
+            let size = 0;
+            stream.on('data', (chunk) => {
+                hash.update(chunk);
+                size += chunk.length;
+                if (name === MANIFEST_ENTRY) chunks.push(chunk);
+            });
+            if (dest) {
+                await pipeline(stream, fs.createWriteStream(dest));
+            } else {
+                await finished(stream);
+            }
+            seen.set(name, { size, sha256: hash.digest('hex') });
+            if (name === MANIFEST_ENTRY) {
+                try {
+                    manifest = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+                } catch (_) {
+                    problems.push('manifest.json is not valid JSON');
+                }
+            }
+        };
+        handle().then(() => next(), (err) => next(err));
+    });
+    await pipeline(fs.createReadStream(file), zlib.createGunzip(), extract);
+
+    const warnings = [];
+    if (!manifest) {
+        if (!seen.has(MANIFEST_ENTRY)) problems.push('manifest.json is missing');
+        return { manifest, problems, warnings };
+    }
+    if (manifest.format !== FORMAT || manifest.format_version !== FORMAT_VERSION) {
+        problems.push(`Not a ${FORMAT} v${FORMAT_VERSION} archive`);
+        return { manifest, problems, warnings };
+    }
+
+    const listed = new Map((manifest.entries || []).map((entry) => [entry.path, entry]));
+    for (const [name, entry] of listed) {
+        const actual = seen.get(name);
+        if (!actual) problems.push(`Missing from archive: ${name}`);
+        else if (actual.size !== entry.size || actual.sha256 !== entry.sha256) problems.push(`Checksum mismatch: ${name}`);
+    }
+    for (const name of seen.keys()) {
+        if (name !== MANIFEST_ENTRY && !listed.has(name)) problems.push(`Not in manifest: ${name}`);
+    }
+    if (!seen.has(DATABASE_ENTRY)) return { manifest, problems, warnings };
+
+    const latest = latestSchemaVersion();
+    if (manifest.schema_version > latest) {
+        problems.push(`Archive has schema version ${manifest.schema_version}, this install only knows up to ${latest}`);
+    }
+
+    // Read-write: integrity_check validates FTS5 indexes through writable shadow tables
+    const snapshot = await openDatabase(path.join(stageDir, DATABASE_ENTRY));
+    const q = promiseDb(snapshot);
+    try {
+        const integrity = await q.all('PRAGMA integrity_check');
+        if (integrity.length !== 1 || integrity[0].integrity_check !== 'ok') {
+            problems.push(`Database integrity check failed: ${integrity.map((row) => row.integrity_check).join('; ')}`);
+        } else {
+            const violations = await q.all('PRAGMA foreign_key_check');
+            if (violations.length) problems.push(`Database has ${violations.length} foreign key violation(s)`);
+            const knownMissing = new Set(manifest.missing_files || []);
+            for (const ref of await referencedFiles(q)) {
+                if (seen.has(UPLOADS_PREFIX + ref)) continue;
+                if (knownMissing.has(ref)) warnings.push(`Missing when exported: ${ref}`);
+                else problems.push(`Referenced by the database but not archived: ${ref}`);
+            }
+        }
+    } finally {
+        await closeDatabase(snapshot);
+    }
+    return { manifest, problems, warnings };
+}
+
+async function verifyArchive(file) {
+    const stageDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'pixelvault-verify-'));
+    try {
+        return await scanArchive(file, { stageDir });
+    } finally {
+        await fs.promises.rm(stageDir, { recursive: true, force: true });
+    }
+}
+
+// An instance is empty when it has no uploads or albums and no stored files
+async function assertEmptyInstance(dbPath, storage) {
+    if (fs.existsSync(dbPath)) {
+        const db = await openDatabase(dbPath, sqlite3.OPEN_READONLY);
+        try {
+            const q = promiseDb(db);
+            for (const table of ['uploads', 'albums']) {
+                const exists = await q.get("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?", [table]);
+                if (exists && (await q.get(`SELECT COUNT(*) AS n FROM ${table}`)).n > 0) {
+                    throw new Error(`The database already has ${table}; import only restores into an empty instance (see scripts/reset_data.sh)`);
+                }
+            }
+        } finally {
+            await closeDatabase(db);
+        }
+    }
+    for await (const key of storage.list()) {
+        throw new Error(`Storage (${storage.description}) already has files, e.g. ${key}; import only restores into an empty instance`);
+    }
+}
+
+// Restore an archive into an empty instance: verify everything in a staging
+// folder first, then move the files and database into place and apply any
+// migrations newer than the archive. Resolves to { manifest, warnings }.
+async function importArchive({ file, dbPath, storage, log = () => {} }) {
+    await assertEmptyInstance(dbPath, storage);
+    const stageDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'pixelvault-import-'));
+    try {
+        const { manifest, problems, warnings } = await scanArchive(file, { stageDir, extractFiles: true });
+        if (problems.length) {
+            const err = new Error(`Archive failed verification:\n  ${problems.join('\n  ')}`);
+            err.problems = problems;
+            throw err;
+        }
+
+        for (const entry of manifest.entries) {
+            if (entry.path === DATABASE_ENTRY) continue;
+            const key = entry.path.slice(UPLOADS_PREFIX.length);
+            await storage.put(key, fs.createReadStream(path.join(stageDir, entry.path)), {
+                contentType: mimeForExtension(path.extname(key))
+            });
+        }
+        await fs.promises.rm(`${dbPath}-journal`, { force: true });
+        await fs.promises.copyFile(path.join(stageDir, DATABASE_ENTRY), dbPath);
+        log(`Restored ${manifest.counts.uploads} upload(s) and ${manifest.counts.files} file(s)`);
+
+        const db = await openDatabase(dbPath);
+        try {
+            await migrateUp(db, { log });
+        } finally {
+            await closeDatabase(db);
+        }
+        return { manifest, warnings };
+    } finally {
+        await fs.promises.rm(stageDir, { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    FORMAT,
+    FORMAT_VERSION,
+    parseSelection,
+    exportArchive,
+    verifyArchive,
+    importArchive
+};
@@ -0,0 +1,62 @@
+// Comment validation, the spam filter and reply threading for file pages.
+//
+// A comment is rejected as spam when it (or the name) contains more than
+// MAX_LINKS links or any blocked keyword. Extra keywords can be added with
+// COMMENT_BLOCKLIST (comma-separated, case-insensitive).
+const NAME_MAX = 80;
+const COMMENT_MAX = 2000;
+const MAX_DEPTH = 4; // a top-level comment has depth 0
+const MAX_LINKS = 2;
+
+const SPAM_KEYWORDS = [
+    'viagra', 'cialis', 'casino', 'payday loan', 'crypto giveaway',
+    'free money', 'buy followers', 'escort service', 'work from home'
+];
+const LINK_PATTERN = /\bhttps?:\/\/|\bwww\.|\b[a-z0-9-]+\.(?:com|net|ru|xyz|top|info|biz|io)\b/gi;
+
+function blockedKeywords() {
+    const extra = (process.env.COMMENT_BLOCKLIST || '').split(',');
+    return SPAM_KEYWORDS.concat(extra).map((k) => k.trim().toLowerCase()).filter(Boolean);
+}
+
+// Returns { name, comment } trimmed, or { error }
+function validateComment(name, comment) {
+    const cleanName = String(name || '').trim().replace(/\s+/g, ' ');
+    const text = String(comment || '').trim();
+    if (!text) return { error: 'comment is required' };
+    if (cleanName.length > NAME_MAX) return { error: `name must be at most ${NAME_MAX} characters` };
+    if (text.length > COMMENT_MAX) return { error: `comment must be at most ${COMMENT_MAX} characters` };
+    return { name: cleanName, comment: text };
+}
+
+// Why `name` / `comment` look like spam, or null
+function spamReason(name, comment) {
+    const links = (value) => (value.match(LINK_PATTERN) || []).length;
+    const text = `${name} ${comment}`.toLowerCase();
+    if (links(name) > 0) return 'links in the name';
+    if (links(comment) > MAX_LINKS) return 'too many links';
+    const keyword = blockedKeywords().find((k) => text.includes(k));
+    return keyword ? `blocked keyword "${keyword}"` : null;
+}
+
+// Nest rows (oldest first, with parent_id) into top-level comments, newest
+// first, each with `replies` oldest first. Replies whose parent is missing
+// (e.g. hidden) are dropped with it.
+function buildThread(rows) {
+    const byId = new Map(rows.map((row) => [row.id, { ...row, replies: [] }]));
+    const roots = [];
+    for (const node of byId.values()) {
+        if (node.parent_id === null) roots.push(node);
+        else if (byId.has(node.parent_id)) byId.get(node.parent_id).replies.push(node);
+    }
+    return roots.reverse();
+}
+
+module.exports = {
+    NAME_MAX,
+    COMMENT_MAX,
+    MAX_DEPTH,
+    validateComment,
+    spamReason,
+    buildThread
+};
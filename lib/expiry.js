@@ -0,0 +1,69 @@
+// Upload expiry: when an upload is moved to the trash on its own.
+//
+//   auto_delete    1d | 1w | 2w | 1m          (preset, counted from now)
+//   expires_at     ISO 8601 date/time         (custom; wins over auto_delete)
+//   max_downloads  1..MAX_DOWNLOAD_LIMIT      (trash after that many downloads)
+//
+// expires_at is stored as an ISO string (UTC) so the trash job can compare it
+// with new Date().toISOString().
+const PRESETS = {
+    '1d': { days: 1 },
+    '1w': { days: 7 },
+    '2w': { days: 14 },
+    '1m': { months: 1 }
+};
+const MAX_EXPIRY_DAYS = 365;
+const MAX_DOWNLOAD_LIMIT = 100000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Empty values (missing field, '' from forms, JSON null) mean "none"
+function isBlank(value) {
+    return value === undefined || value === null || value === '';
+}
+
+// ISO expiry for a preset, or null for '' (never)
+function presetExpiry(selection, now = new Date()) {
+    const preset = PRESETS[selection];
+    if (!preset) return null;
+    const expiry = new Date(now);
+    if (preset.days) expiry.setDate(expiry.getDate() + preset.days);
+    if (preset.months) expiry.setMonth(expiry.getMonth() + preset.months);
+    return expiry.toISOString();
+}
+
+// Returns { value } (ISO string, or null for no expiry) or { error }
+function parseExpiry({ auto_delete: autoDelete, expires_at: expiresAt }, now = new Date()) {
+    if (!isBlank(expiresAt)) {
+        const time = Date.parse(expiresAt);
+        if (Number.isNaN(time)) return { error: 'expires_at must be an ISO 8601 date/time' };
+        if (time <= now.getTime()) return { error: 'expires_at must be in the future' };
+        if (time > now.getTime() + MAX_EXPIRY_DAYS * DAY_MS) {
+            return { error: `expires_at must be within ${MAX_EXPIRY_DAYS} days` };
+        }
+        return { value: new Date(time).toISOString() };
+    }
+    if (isBlank(autoDelete)) return { value: null };
+    if (!PRESETS[autoDelete]) {
+        return { error: `auto_delete must be one of: ${Object.keys(PRESETS).join(', ')}` };
+    }
+    return { value: presetExpiry(autoDelete, now) };
+}
+
+// Returns { value } (number of downloads, or null for no limit) or { error }
+function parseDownloadLimit(value) {
+    if (isBlank(value)) return { value: null };
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_DOWNLOAD_LIMIT) {
+        return { error: `max_downloads must be a whole number between 1 and ${MAX_DOWNLOAD_LIMIT}` };
+    }
+    return { value: limit };
+}
+
+module.exports = {
+    PRESETS,
+    MAX_EXPIRY_DAYS,
+    MAX_DOWNLOAD_LIMIT,
+    parseExpiry,
+    parseDownloadLimit
+};
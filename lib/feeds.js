@@ -0,0 +1,110 @@
+// Syndication feeds: the same list of entries rendered as RSS 2.0, Atom 1.0
+// or JSON Feed 1.1.
+//
+// feed:  { title, description, homeUrl, selfUrls: { rss, atom, json }, updated }
+// entry: { id, url, title, description, author, published, updated, tags: [],
+//          image: { url, type, length } }
+//
+// Dates are Date objects. The output depends only on its input (no "generated
+// at" timestamps), so an unchanged feed renders byte-for-byte the same and
+// keeps its ETag.
+
+// Characters XML 1.0 does not allow, even escaped
+const XML_INVALID = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+function xml(value) {
+    return String(value == null ? '' : value)
+        .replace(XML_INVALID, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function renderRss(feed, entries) {
+    const items = entries.map((e) => `
+    <item>
+      <title>${xml(e.title)}</title>
+      <link>${xml(e.url)}</link>
+      <guid isPermaLink="true">${xml(e.id)}</guid>
+      <pubDate>${e.published.toUTCString()}</pubDate>
+      <dc:creator>${xml(e.author)}</dc:creator>
+      <description>${xml(e.description)}</description>${e.tags.map((tag) => `
+      <category>${xml(tag)}</category>`).join('')}
+      <enclosure url="${xml(e.image.url)}" length="${e.image.length}" type="${xml(e.image.type)}"/>
+    </item>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${xml(feed.title)}</title>
+    <link>${xml(feed.homeUrl)}</link>
+    <description>${xml(feed.description)}</description>
+    <atom:link href="${xml(feed.selfUrls.rss)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>${items}
+  </channel>
+</rss>
+`;
+}
+
+function renderAtom(feed, entries) {
+    const items = entries.map((e) => `
+  <entry>
+    <id>${xml(e.id)}</id>
+    <title>${xml(e.title)}</title>
+    <link rel="alternate" type="text/html" href="${xml(e.url)}"/>
+    <link rel="enclosure" type="${xml(e.image.type)}" length="${e.image.length}" href="${xml(e.image.url)}"/>
+    <published>${e.published.toISOString()}</published>
+    <updated>${e.updated.toISOString()}</updated>
+    <author><name>${xml(e.author)}</name></author>${e.description ? `
+    <summary>${xml(e.description)}</summary>` : ''}${e.tags.map((tag) => `
+    <category term="${xml(tag)}"/>`).join('')}
+  </entry>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${xml(feed.selfUrls.atom)}</id>
+  <title>${xml(feed.title)}</title>
+  <subtitle>${xml(feed.description)}</subtitle>
+  <link rel="self" type="application/atom+xml" href="${xml(feed.selfUrls.atom)}"/>
+  <link rel="alternate" type="text/html" href="${xml(feed.homeUrl)}"/>
+  <updated>${feed.updated.toISOString()}</updated>${items}
+</feed>
+`;
+}
+
+function renderJsonFeed(feed, entries) {
+    return `${JSON.stringify({
+        version: 'https://jsonfeed.org/version/1.1',
+        title: feed.title,
+        description: feed.description,
+        home_page_url: feed.homeUrl,
+        feed_url: feed.selfUrls.json,
+        items: entries.map((e) => ({
+            id: e.id,
+            url: e.url,
+            title: e.title,
+            content_text: e.description || e.title,
+            image: e.image.url,
+            date_published: e.published.toISOString(),
+            date_modified: e.updated.toISOString(),
+            authors: [{ name: e.author }],
+            tags: e.tags,
+            attachments: [{ url: e.image.url, mime_type: e.image.type, size_in_bytes: e.image.length }]
+        }))
+    }, null, 2)}\n`;
+}
+
+const FEED_FORMATS = {
+    rss: { contentType: 'application/rss+xml; charset=utf-8', label: 'RSS', render: renderRss },
+    atom: { contentType: 'application/atom+xml; charset=utf-8', label: 'Atom', render: renderAtom },
+    json: { contentType: 'application/feed+json; charset=utf-8', label: 'JSON Feed', render: renderJsonFeed }
+};
+
+module.exports = {
+    FEED_FORMATS,
+    renderRss,
+    renderAtom,
+    renderJsonFeed
+};
@@ -0,0 +1,200 @@
+// Storage integrity check: cross-checks the files the database refers to
+// (uploads, older versions, their derivatives and blobs) against what is
+// actually in storage.
+//
+//   orphans      stored files nothing refers to, e.g. left behind when the
+//                server stopped between storing a file and inserting its row
+//   missing      files a row refers to that are not in storage
+//   mismatched   originals whose size (or, with `hashes`, SHA-256) differs
+//                from their blob
+//
+// Fixing is up to the caller: quarantineOrphans() moves orphans out of
+// storage into a local folder, markBroken() flags uploads whose current file
+// is missing or mismatched (and unflags those that are healthy again).
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { parseVariants, derivativeKeys } = require('./images');
+
+const DEFAULT_QUARANTINE_DIR = path.join(__dirname, '..', 'quarantine');
+
+// Younger files are not called orphans: an upload in progress has stored its
+// file but not inserted its row yet
+const ORPHAN_GRACE_MS = 60 * 60 * 1000;
+
+async function hashStored(storage, key) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of await storage.getStream(key)) hash.update(chunk);
+    return hash.digest('hex');
+}
+
+// Compare a stored original with its blob: resolves to null when it matches,
+// or { problem: 'missing' | 'size' | 'hash', expected?, actual? }
+async function compareFile(storage, file, hashes) {
+    if (file.size === null && !(hashes && file.hash)) return null;
+    const info = await storage.stat(file.key);
+    if (!info) return { problem: 'missing' };
+    if (file.size !== null && info.size !== file.size) {
+        return { problem: 'size', expected: file.size, actual: info.size };
+    }
+    if (hashes && file.hash) {
+        const actual = await hashStored(storage, file.key);
+        if (actual !== file.hash) return { problem: 'hash', expected: file.hash, actual };
+    }
+    return null;
+}
+
+// Every referenced key: { key, derivative, hash, size, used_by: [{ upload_id, version, current }] }
+async function referencedFiles(q) {
+    const rows = [
+        ...await q.all(`SELECT u.id AS upload_id, u.version, 1 AS current, u.filename, u.variants, u.content_hash, b.size
+                        FROM uploads u LEFT JOIN blobs b ON b.hash = u.content_hash`),
+        ...await q.all(`SELECT v.upload_id, v.version, 0 AS current, v.filename, v.variants, v.content_hash, b.size
+                        FROM upload_versions v LEFT JOIN blobs b ON b.hash = v.content_hash`)
+    ];
+    const files = new Map();
+    const entry = (key, fields) => {
+        if (!files.has(key)) files.set(key, { key, hash: null, size: null, used_by: [], ...fields });
+        return files.get(key);
+    };
+    rows.forEach((row) => {
+        const user = { upload_id: row.upload_id, version: row.version, current: Boolean(row.current) };
+        entry(row.filename, {
+            derivative: false,
+            hash: row.content_hash,
+            size: row.size === null ? null : Number(row.size)
+        }).used_by.push(user);
+        derivativeKeys(parseVariants(row.variants)).forEach((key) => {
+            const derivative = entry(key, { derivative: true });
+            if (!derivative.used_by.some((u) => u.upload_id === user.upload_id && u.version === user.version)) {
+                derivative.used_by.push(user);
+            }
+        });
+    });
+    return files;
+}
+
+// Run the check. `q` is a promise wrapper over the database ({ all, get, run }).
+async function checkStorage({ q, storage, hashes = false, now = new Date() }) {
+    // Listed before the database is read, so a file stored during the check
+    // is never taken for an orphan of a row that did not exist yet
+    const stored = new Set();
+    for await (const key of storage.list()) stored.add(key);
+
+    const files = await referencedFiles(q);
+    const blobFiles = new Set((await q.all('SELECT filename FROM blobs')).map((row) => row.filename));
+
+    const report = {
+        checked_at: now.toISOString(),
+        storage: storage.description,
+        verified_hashes: Boolean(hashes),
+        stored_files: stored.size,
+        referenced_files: files.size,
+        orphans: [],
+        recent_files_skipped: 0,
+        missing: [],
+        mismatched: [],
+        broken_uploads: []
+    };
+    const broken = new Map();
+    const flag = (file, reason) => file.used_by
+        .filter((user) => user.current && !broken.has(user.upload_id))
+        .forEach((user) => broken.set(user.upload_id, reason));
+
+    const sorted = [...files.values()].sort((a, b) => a.key.localeCompare(b.key));
+    for (const file of sorted) {
+        const result = stored.has(file.key)
+            ? (file.derivative ? null : await compareFile(storage, file, hashes))
+            : { problem: 'missing' };
+        if (!result) continue;
+        const { problem, ...details } = result;
+        if (problem === 'missing') {
+            report.missing.push({ key: file.key, derivative: file.derivative, used_by: file.used_by });
+        } else {
+            report.mismatched.push({ key: file.key, problem, ...details, used_by: file.used_by });
+        }
+        // A missing derivative only costs a thumbnail; cards fall back to the original
+        if (!file.derivative) flag(file, problem);
+    }
+    report.broken_uploads = [...broken].map(([id, reason]) => ({ id, reason })).sort((a, b) => a.id - b.id);
+
+    for (const key of [...stored].sort()) {
+        if (files.has(key) || blobFiles.has(key)) continue;
+        const info = await storage.stat(key);
+        if (!info) continue; // removed since it was listed
+        if (info.modified && now - info.modified < ORPHAN_GRACE_MS) {
+            report.recent_files_skipped++;
+            continue;
+        }
+        report.orphans.push({ key, size: info.size, modified: info.modified ? info.modified.toISOString() : null });
+    }
+    return report;
+}
+
+function problemCount(report) {
+    return report.orphans.length + report.missing.length + report.mismatched.length;
+}
+
+// Whether any row has started using `key` since the check ran
+async function isReferenced(q, key) {
+    const row = await q.get(`
+        SELECT 1 FROM blobs WHERE filename = ?1
+        UNION ALL SELECT 1 FROM uploads WHERE filename = ?1 OR instr(variants, ?2) > 0
+        UNION ALL SELECT 1 FROM upload_versions WHERE filename = ?1 OR instr(variants, ?2) > 0
+        LIMIT 1
+    `, [key, JSON.stringify(key)]);
+    return Boolean(row);
+}
+
+// Move the report's orphans out of storage into `<dir>/<timestamp>/<key>`.
+// Resolves to { dir, moved, failed: [{ key, error }] }.
+async function quarantineOrphans({ q, storage, report, dir = DEFAULT_QUARANTINE_DIR, now = new Date() }) {
+    const target = path.join(dir, now.toISOString().replace(/[-:]/g, '').replace(/\..*$/, ''));
+    const result = { dir: target, moved: 0, failed: [] };
+    for (const orphan of report.orphans) {
+        try {
+            // Identical bytes uploaded again reuse the same key
+            if (await isReferenced(q, orphan.key)) continue;
+            const file = path.join(target, orphan.key);
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await pipeline(await storage.getStream(orphan.key), fs.createWriteStream(file));
+            await storage.delete(orphan.key);
+            result.moved++;
+        } catch (err) {
+            result.failed.push({ key: orphan.key, error: err.message });
+        }
+    }
+    return result;
+}
+
+// Flag the report's broken uploads and clear the flag on uploads that now
+// check out. A 'hash' flag is only cleared by a check that verified hashes.
+// Resolves to { marked, cleared }.
+async function markBroken({ q, report }) {
+    let marked = 0;
+    for (const { id, reason } of report.broken_uploads) {
+        const { changes } = await q.run(
+            `UPDATE uploads SET broken_at = CURRENT_TIMESTAMP, broken_reason = ?
+             WHERE id = ? AND (broken_at IS NULL OR broken_reason IS NOT ?)`,
+            [reason, id, reason]
+        );
+        marked += changes;
+    }
+    const { changes: cleared } = await q.run(
+        `UPDATE uploads SET broken_at = NULL, broken_reason = NULL
+         WHERE broken_at IS NOT NULL AND id NOT IN (SELECT value FROM json_each(?))
+           AND (? OR broken_reason IS NOT 'hash')`,
+        [JSON.stringify(report.broken_uploads.map((u) => u.id)), report.verified_hashes ? 1 : 0]
+    );
+    return { marked, cleared };
+}
+
+module.exports = {
+    DEFAULT_QUARANTINE_DIR,
+    ORPHAN_GRACE_MS,
+    checkStorage,
+    problemCount,
+    quarantineOrphans,
+    markBroken
+};
@@ -0,0 +1,131 @@
+// Disk cache for on-demand renditions: <dir>/<upload id>/<name>. Entries are
+// written under a temp name and renamed into place. Once the cache holds more
+// than `maxBytes`, the least recently used files are removed until it is back
+// under 90% of that. A `maxBytes` of 0 turns caching off.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function createImageCache({ dir, maxBytes }) {
+    const root = path.resolve(dir);
+    let totalBytes = null; // counted on first write
+    let pruning = null;
+    // Renders in progress, so concurrent requests for one entry render it once
+    const pending = new Map();
+    // upload id -> number of invalidate() calls. A render that started before
+    // the latest one must not write its (now stale) result back.
+    const generations = new Map();
+
+    function generation(uploadId) {
+        return generations.get(String(uploadId)) || 0;
+    }
+
+    function entryPath(uploadId, name) {
+        return path.join(root, String(uploadId), name);
+    }
+
+    // Every cached file: [{ file, size, used }]
+    async function scan() {
+        const files = [];
+        const dirs = await fs.promises.readdir(root, { withFileTypes: true }).catch((err) => {
+            if (err.code === 'ENOENT') return [];
+            throw err;
+        });
+        for (const entry of dirs.filter((d) => d.isDirectory())) {
+            const sub = path.join(root, entry.name);
+            for (const name of await fs.promises.readdir(sub)) {
+                if (name.endsWith('.tmp')) continue;
+                const info = await fs.promises.stat(path.join(sub, name)).catch(() => null);
+                if (info) files.push({ file: path.join(sub, name), size: info.size, used: info.mtimeMs });
+            }
+        }
+        return files;
+    }
+
+    async function prune() {
+        const files = (await scan()).sort((a, b) => a.used - b.used);
+        totalBytes = files.reduce((sum, f) => sum + f.size, 0);
+        for (const f of files) {
+            if (totalBytes <= maxBytes * 0.9) break;
+            await fs.promises.rm(f.file, { force: true });
+            totalBytes -= f.size;
+        }
+    }
+
+    async function read(file) {
+        try {
+            const data = await fs.promises.readFile(file);
+            // mtime doubles as "last used" (atime is often not kept)
+            const now = new Date();
+            fs.promises.utimes(file, now, now).catch(() => {});
+            return data;
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+    }
+
+    async function write(file, data) {
+        const temp = `${file}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        try {
+            await fs.promises.writeFile(temp, data);
+            await fs.promises.rename(temp, file);
+        } catch (err) {
+            await fs.promises.rm(temp, { force: true });
+            throw err;
+        }
+        if (totalBytes === null) totalBytes = (await scan()).reduce((sum, f) => sum + f.size, 0);
+        else totalBytes += data.length;
+        if (totalBytes > maxBytes && !pruning) {
+            pruning = prune()
+                .catch((err) => console.error('Error pruning image cache:', err.message))
+                .finally(() => { pruning = null; });
+        }
+    }
+
+    return {
+        dir: root,
+        // Resolves to { data, hit }: the cached bytes, or those of render()
+        // (which are then cached). Cache write failures only get logged.
+        async fetch(uploadId, name, render) {
+            if (maxBytes <= 0) return { data: await render(), hit: false };
+            const file = entryPath(uploadId, name);
+            const cached = await read(file);
+            if (cached) return { data: cached, hit: true };
+
+            if (!pending.has(file)) {
+                const started = generation(uploadId);
+                const stale = () => generation(uploadId) !== started;
+                pending.set(file, (async () => {
+                    try {
+                        const data = await render();
+                        if (stale()) return data;
+                        await write(file, data).catch((err) => console.error('Error writing image cache:', err.message));
+                        // invalidate() may have run while the file was being written
+                        if (stale()) await fs.promises.rm(file, { force: true });
+                        return data;
+                    } finally {
+                        // Once stale, the entry may already belong to a newer render
+                        if (!stale()) pending.delete(file);
+                    }
+                })());
+            }
+            return { data: await pending.get(file), hit: false };
+        },
+        // Drop every rendition of an upload (trashed, hidden or its image
+        // replaced). Renders already running for it are not cached, and later
+        // requests render afresh instead of waiting for them.
+        async invalidate(uploadId) {
+            const dir = path.join(root, String(uploadId));
+            generations.set(String(uploadId), generation(uploadId) + 1);
+            for (const file of pending.keys()) {
+                if (path.dirname(file) === dir) pending.delete(file);
+            }
+            await fs.promises.rm(dir, { recursive: true, force: true });
+            totalBytes = null;
+        }
+    };
+}
+
+module.exports = { createImageCache };
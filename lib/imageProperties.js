@@ -0,0 +1,283 @@
+// Properties of an upload's image, recorded when it is stored (and by
+// `npm run backfill -- properties` for older rows) so listings can show them
+// and /api/search can filter on them:
+//
+//   width, height   as displayed, i.e. after the EXIF orientation is applied
+//   file_size       bytes of the stored (metadata-stripped) file
+//   format          jpeg | png | gif | webp | avif
+//   orientation     landscape | portrait | square
+//   palette         up to PALETTE_SIZE dominant colours, most common first:
+//                   [{ hex, r, g, b, share, name }], `share` being the
+//                   fraction of (opaque) pixels and `name` one of COLOR_NAMES
+const sharp = require('sharp');
+const { detectImageType } = require('./imageType');
+
+const PALETTE_SIZE = 5;
+// Colours are counted on a thumbnail of at most this many pixels a side
+const SAMPLE_SIZE = 64;
+// Histogram bins closer than this (RGB distance) are merged into one colour
+const MERGE_DISTANCE = 48;
+// Sides within 2% of each other count as square
+const SQUARE_TOLERANCE = 0.02;
+
+const COLOR_NAMES = ['red', 'orange', 'yellow', 'green', 'teal', 'blue', 'purple', 'pink', 'brown', 'black', 'grey', 'white'];
+
+// Minimum resolutions by name, as [long side, short side]
+const RESOLUTION_PRESETS = {
+    hd: [1280, 720],
+    fhd: [1920, 1080],
+    qhd: [2560, 1440],
+    '4k': [3840, 2160],
+    '5k': [5120, 2880],
+    '8k': [7680, 4320]
+};
+const ORIENTATIONS = ['landscape', 'portrait', 'square'];
+// ?aspect= matches ratios within 2% (a 1366x768 screen counts as 16:9)
+const ASPECT_TOLERANCE = 0.02;
+// ?color=#rrggbb matches palette colours within this RGB distance...
+const COLOR_MATCH_DISTANCE = 60;
+// ...that cover at least this share of the image (also for named colours)
+const MIN_COLOR_SHARE = 0.05;
+
+function toHex(r, g, b) {
+    return `#${[r, g, b].map((v) => v.toString(16).padStart(2, '0')).join('')}`;
+}
+
+// Name a colour by hue, or by lightness when it has little saturation
+function colorName(r, g, b) {
+    const max = Math.max(r, g, b) / 255;
+    const min = Math.min(r, g, b) / 255;
+    const lightness = (max + min) / 2;
+    const delta = max - min;
+    const saturation = delta === 0 ? 0 : delta / (1 - Math.abs(2 * lightness - 1));
+
+    if (lightness < 0.12) return 'black';
+    if (lightness > 0.92) return 'white';
+    if (saturation < 0.18) {
+        if (lightness < 0.25) return 'black';
+        return lightness > 0.85 ? 'white' : 'grey';
+    }
+
+    let hue;
+    if (max === r / 255) hue = ((g - b) / 255 / delta) % 6;
+    else if (max === g / 255) hue = (b - r) / 255 / delta + 2;
+    else hue = (r - g) / 255 / delta + 4;
+    hue = (hue * 60 + 360) % 360;
+
+    if (hue < 15 || hue >= 345) return lightness < 0.3 ? 'brown' : 'red';
+    if (hue < 45) return lightness < 0.45 ? 'brown' : 'orange';
+    if (hue < 70) return lightness < 0.3 ? 'brown' : 'yellow';
+    if (hue < 165) return 'green';
+    if (hue < 195) return 'teal';
+    if (hue < 255) return 'blue';
+    if (hue < 290) return 'purple';
+    return 'pink';
+}
+
+// Dominant colours: pixels of a small copy are counted in 4-bit-per-channel
+// bins, and the fullest bins are merged with near neighbours into colours
+async function extractPalette(input) {
+    const { data, info } = await sharp(input)
+        .rotate()
+        .resize(SAMPLE_SIZE, SAMPLE_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    const bins = new Map();
+    let total = 0;
+    for (let i = 0; i < data.length; i += info.channels) {
+        if (data[i + 3] < 128) continue; // (mostly) transparent
+        const key = ((data[i] >> 4) << 8) | ((data[i + 1] >> 4) << 4) | (data[i + 2] >> 4);
+        const bin = bins.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+        bin.count++;
+        bin.r += data[i];
+        bin.g += data[i + 1];
+        bin.b += data[i + 2];
+        bins.set(key, bin);
+        total++;
+    }
+
+    const colors = [];
+    const sorted = [...bins.values()].sort((a, b) => b.count - a.count);
+    for (const bin of sorted) {
+        const mean = [bin.r / bin.count, bin.g / bin.count, bin.b / bin.count];
+        const near = colors.find((c) => Math.hypot(c.seed[0] - mean[0], c.seed[1] - mean[1], c.seed[2] - mean[2]) < MERGE_DISTANCE);
+        if (near) {
+            near.count += bin.count;
+            near.r += bin.r;
+            near.g += bin.g;
+            near.b += bin.b;
+        } else if (colors.length < PALETTE_SIZE) {
+            colors.push({ seed: mean, ...bin });
+        }
+    }
+
+    return colors
+        .sort((a, b) => b.count - a.count)
+        .map((c) => {
+            const [r, g, b] = [c.r, c.g, c.b].map((sum) => Math.round(sum / c.count));
+            return { hex: toHex(r, g, b), r, g, b, share: Math.round((c.count / total) * 1000) / 1000, name: colorName(r, g, b) };
+        });
+}
+
+function orientationOf(width, height) {
+    if (Math.abs(width - height) <= Math.max(width, height) * SQUARE_TOLERANCE) return 'square';
+    return width > height ? 'landscape' : 'portrait';
+}
+
+// Resolves to { width, height, file_size, format, orientation, palette } for
+// the image in `buffer` (the bytes as stored)
+async function extractImageProperties(buffer) {
+    const meta = await sharp(buffer).metadata();
+    // Animated images report the height of all frames stacked
+    const frameHeight = meta.pageHeight || meta.height;
+    // Orientations 5-8 are rotated by a quarter turn, swapping the sides
+    const turned = (meta.orientation || 1) >= 5;
+    const width = turned ? frameHeight : meta.width;
+    const height = turned ? meta.width : frameHeight;
+    const type = detectImageType(buffer);
+    return {
+        width,
+        height,
+        file_size: buffer.length,
+        format: type ? type.format : meta.format,
+        orientation: orientationOf(width, height),
+        palette: await extractPalette(buffer)
+    };
+}
+
+// Record `props` for an upload: its columns and its upload_colors rows
+// (null clears them). `q` is a promise wrapper over the database ({ run }).
+async function saveImageProperties(q, uploadId, props) {
+    await q.run(
+        'UPDATE uploads SET width = ?, height = ?, file_size = ?, format = ?, orientation = ?, palette = ? WHERE id = ?',
+        props
+            ? [props.width, props.height, props.file_size, props.format, props.orientation,
+                JSON.stringify(props.palette.map((c) => c.hex)), uploadId]
+            : [null, null, null, null, null, null, uploadId]
+    );
+    await q.run('DELETE FROM upload_colors WHERE upload_id = ?', [uploadId]);
+    if (!props) return;
+    await q.run(
+        `INSERT INTO upload_colors (upload_id, position, hex, r, g, b, share, name)
+         SELECT ?, key, json_extract(value, '$.hex'), json_extract(value, '$.r'), json_extract(value, '$.g'),
+                json_extract(value, '$.b'), json_extract(value, '$.share'), json_extract(value, '$.name')
+         FROM json_each(?)`,
+        [uploadId, JSON.stringify(props.palette)]
+    );
+}
+
+// uploads.palette (JSON) -> ['#rrggbb', ...]
+function parsePalette(json) {
+    if (!json) return [];
+    try {
+        const palette = JSON.parse(json);
+        return Array.isArray(palette) ? palette : [];
+    } catch (err) {
+        return [];
+    }
+}
+
+function parseMinResolution(value) {
+    const preset = RESOLUTION_PRESETS[value.toLowerCase()];
+    if (preset) return preset;
+    const match = /^(\d+)x(\d+)$/i.exec(value);
+    if (!match || Number(match[1]) === 0 || Number(match[2]) === 0) return null;
+    const sides = [Number(match[1]), Number(match[2])];
+    return [Math.max(...sides), Math.min(...sides)];
+}
+
+function parseAspect(value) {
+    const match = /^(\d+(?:\.\d+)?)(?:[:x](\d+(?:\.\d+)?))?$/i.exec(value);
+    if (!match) return null;
+    const ratio = Number(match[1]) / (match[2] === undefined ? 1 : Number(match[2]));
+    return Number.isFinite(ratio) && ratio > 0 ? ratio : null;
+}
+
+const IMAGE_FILTER_PARAMS = ['min_resolution', 'orientation', 'aspect', 'color'];
+
+// ?min_resolution=&orientation=&aspect=&color= -> { min_resolution, orientation,
+// aspect, color } (null when not given) or { error }.
+//   min_resolution  a preset (hd, fhd, qhd, 4k, 5k, 8k) or WxH; either
+//                   orientation qualifies, e.g. 4k also matches 2160x3840
+//   orientation     landscape | portrait | square
+//   aspect          W:H (e.g. 16:9) or a ratio (1.78)
+//   color           a name from COLOR_NAMES or a hex colour (#3366ff)
+function parseImageFilters(query) {
+    const value = (name) => String(query[name] || '').trim();
+    const filters = { min_resolution: null, orientation: null, aspect: null, color: null };
+
+    if (value('min_resolution')) {
+        filters.min_resolution = parseMinResolution(value('min_resolution'));
+        if (!filters.min_resolution) {
+            return { error: `min_resolution must be WxH or one of: ${Object.keys(RESOLUTION_PRESETS).join(', ')}` };
+        }
+    }
+    if (value('orientation')) {
+        filters.orientation = value('orientation').toLowerCase();
+        if (!ORIENTATIONS.includes(filters.orientation)) {
+            return { error: `orientation must be one of: ${ORIENTATIONS.join(', ')}` };
+        }
+    }
+    if (value('aspect')) {
+        filters.aspect = parseAspect(value('aspect'));
+        if (!filters.aspect) return { error: 'aspect must be W:H (e.g. 16:9) or a positive number' };
+    }
+    if (value('color')) {
+        const color = value('color').toLowerCase();
+        const hex = /^#?([0-9a-f]{6})$/.exec(color);
+        if (COLOR_NAMES.includes(color)) {
+            filters.color = { name: color };
+        } else if (hex) {
+            const rgb = hex[1].match(/../g).map((pair) => parseInt(pair, 16));
+            filters.color = { hex: `#${hex[1]}`, r: rgb[0], g: rgb[1], b: rgb[2] };
+        } else {
+            return { error: `color must be #rrggbb or one of: ${COLOR_NAMES.join(', ')}` };
+        }
+    }
+    return filters;
+}
+
+// SQL conditions on uploads for parsed filters: { where: [], params: [] }.
+// Uploads whose properties are unknown (not backfilled yet) never match.
+function imageFilterConditions(filters) {
+    const where = [];
+    const params = [];
+    if (filters.min_resolution) {
+        where.push('MAX(width, height) >= ? AND MIN(width, height) >= ?');
+        params.push(...filters.min_resolution);
+    }
+    if (filters.orientation) {
+        where.push('orientation = ?');
+        params.push(filters.orientation);
+    }
+    if (filters.aspect) {
+        where.push('height > 0 AND width * 1.0 / height BETWEEN ? AND ?');
+        params.push(filters.aspect * (1 - ASPECT_TOLERANCE), filters.aspect * (1 + ASPECT_TOLERANCE));
+    }
+    if (filters.color && filters.color.name) {
+        where.push('id IN (SELECT upload_id FROM upload_colors WHERE name = ? AND share >= ?)');
+        params.push(filters.color.name, MIN_COLOR_SHARE);
+    } else if (filters.color) {
+        const { r, g, b } = filters.color;
+        where.push(`id IN (SELECT upload_id FROM upload_colors
+                           WHERE (r - ?) * (r - ?) + (g - ?) * (g - ?) + (b - ?) * (b - ?) <= ? AND share >= ?)`);
+        params.push(r, r, g, g, b, b, COLOR_MATCH_DISTANCE * COLOR_MATCH_DISTANCE, MIN_COLOR_SHARE);
+    }
+    return { where, params };
+}
+
+module.exports = {
+    PALETTE_SIZE,
+    COLOR_NAMES,
+    RESOLUTION_PRESETS,
+    ORIENTATIONS,
+    IMAGE_FILTER_PARAMS,
+    colorName,
+    extractImageProperties,
+    saveImageProperties,
+    parsePalette,
+    parseImageFilters,
+    imageFilterConditions
+};
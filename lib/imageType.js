@@ -0,0 +1,74 @@
+// Identify image formats from their leading bytes ("magic numbers") instead of
+// trusting the client-supplied content type or file extension.
+
+// Allow-listed formats, in the order they are checked
+const IMAGE_TYPES = [
+    { format: 'jpeg', mime: 'image/jpeg', ext: '.jpg', label: 'JPEG' },
+    { format: 'png', mime: 'image/png', ext: '.png', label: 'PNG' },
+    { format: 'gif', mime: 'image/gif', ext: '.gif', label: 'GIF' },
+    { format: 'webp', mime: 'image/webp', ext: '.webp', label: 'WebP' },
+    { format: 'avif', mime: 'image/avif', ext: '.avif', label: 'AVIF' }
+];
+
+// Content types browsers and tools send for the same format
+const MIME_ALIASES = {
+    'image/jpg': 'image/jpeg',
+    'image/pjpeg': 'image/jpeg',
+    'image/x-png': 'image/png'
+};
+
+function startsWith(buf, bytes, offset = 0) {
+    if (buf.length < offset + bytes.length) return false;
+    return bytes.every((b, i) => buf[offset + i] === b);
+}
+
+function ascii(buf, start, end) {
+    return buf.length >= end ? buf.toString('latin1', start, end) : '';
+}
+
+function sniffFormat(buf) {
+    if (startsWith(buf, [0xFF, 0xD8, 0xFF])) return 'jpeg';
+    if (startsWith(buf, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'png';
+    if (ascii(buf, 0, 6) === 'GIF87a' || ascii(buf, 0, 6) === 'GIF89a') return 'gif';
+    if (ascii(buf, 0, 4) === 'RIFF' && ascii(buf, 8, 12) === 'WEBP') return 'webp';
+    // ISO-BMFF: size, "ftyp", major brand, minor version, compatible brands
+    if (ascii(buf, 4, 8) === 'ftyp') {
+        const boxSize = Math.min(buf.readUInt32BE(0), buf.length);
+        for (let i = 8; i + 4 <= boxSize; i += 4) {
+            if (i === 12) continue; // minor version, not a brand
+            const brand = ascii(buf, i, i + 4);
+            if (brand === 'avif' || brand === 'avis') return 'avif';
+        }
+    }
+    return null;
+}
+
+// Returns the IMAGE_TYPES entry for the buffer's real format, or null
+function detectImageType(buf) {
+    const format = sniffFormat(buf);
+    return IMAGE_TYPES.find((t) => t.format === format) || null;
+}
+
+function normalizeMime(mime) {
+    const value = String(mime || '').toLowerCase().split(';')[0].trim();
+    return MIME_ALIASES[value] || value;
+}
+
+function allowedTypesLabel() {
+    return IMAGE_TYPES.map((t) => t.label).join(', ');
+}
+
+// Content type for a stored file's extension (.jpg and .jpeg both map to JPEG)
+function mimeForExtension(ext) {
+    const lower = String(ext).toLowerCase();
+    const type = IMAGE_TYPES.find((t) => t.ext === lower || `.${t.format}` === lower);
+    return type ? type.mime : 'application/octet-stream';
+}
+
+module.exports = {
+    IMAGE_TYPES,
+    detectImageType,
+    mimeForExtension,
+    normalizeMime,
+    allowedTypesLabel
+};
@@ -0,0 +1,86 @@
+// Image processing helpers (thumbnails and responsive sizes)
+const sharp = require('sharp');
+const path = require('path');
+
+// Standard sizes generated for every upload (max width in pixels)
+const IMAGE_SIZES = {
+    thumb: 320,
+    medium: 960,
+    full: 1920
+};
+
+// Derivatives are stored under this key prefix so they are served by the same /uploads route
+const DERIVATIVES_DIR = 'derivatives';
+
+// Generate WebP + JPEG renditions of an image (Buffer or file path) for every
+// standard size and put them in `storage`. Resolves to a variants object keyed
+// by size name, with storage keys (paths relative to uploads/).
+async function generateDerivatives(input, storage, filename) {
+    const baseName = path.parse(filename).name;
+    const variants = {};
+
+    for (const [size, maxWidth] of Object.entries(IMAGE_SIZES)) {
+        // rotate() applies the EXIF orientation before resizing
+        const pipeline = sharp(input)
+            .rotate()
+            .resize({ width: maxWidth, withoutEnlargement: true });
+
+        const webpKey = `${DERIVATIVES_DIR}/${baseName}-${size}.webp`;
+        const jpegKey = `${DERIVATIVES_DIR}/${baseName}-${size}.jpg`;
+
+        const webp = await pipeline.clone()
+            .webp({ quality: 80 })
+            .toBuffer({ resolveWithObject: true });
+        const jpeg = await pipeline.clone()
+            .flatten({ background: '#0e0e0e' })
+            .jpeg({ quality: 82, mozjpeg: true })
+            .toBuffer();
+        await storage.put(webpKey, webp.data, { contentType: 'image/webp' });
+        await storage.put(jpegKey, jpeg, { contentType: 'image/jpeg' });
+
+        variants[size] = {
+            width: webp.info.width,
+            height: webp.info.height,
+            webp: webpKey,
+            jpeg: jpegKey
+        };
+    }
+
+    return variants;
+}
+
+// Storage keys of every derivative listed in a variants object
+function derivativeKeys(variants) {
+    const keys = [];
+    Object.values(variants || {}).forEach((v) => {
+        if (v.webp) keys.push(v.webp);
+        if (v.jpeg) keys.push(v.jpeg);
+    });
+    return keys;
+}
+
+// Remove every derivative listed in a variants object (best effort)
+async function removeDerivatives(storage, variants) {
+    await Promise.all(derivativeKeys(variants).map((key) => storage.delete(key).catch((err) => {
+        console.error('Error deleting derivative:', err.message);
+    })));
+}
+
+// Parse the JSON stored in uploads.variants, tolerating NULL/invalid values
+function parseVariants(value) {
+    if (!value) return null;
+    try {
+        return JSON.parse(value);
+    } catch (_) {
+        return null;
+    }
+}
+
+module.exports = {
+    IMAGE_SIZES,
+    DERIVATIVES_DIR,
+    generateDerivatives,
+    derivativeKeys,
+    removeDerivatives,
+    parseVariants
+};
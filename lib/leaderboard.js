@@ -0,0 +1,95 @@
+// Leaderboard parameters: which board and which time window.
+//
+//   board   likes | downloads | comments | trending   (default likes)
+//   period  24h | 7d | 30d | all                       (rolling windows)
+//   year, month                                        (calendar window)
+//
+// A window ranks uploads by the engagement they received inside it; without
+// one, boards use lifetime totals. "trending" always needs a window (7 days by
+// default) and weights each event by its age, halving every quarter window.
+const BOARDS = ['likes', 'downloads', 'comments', 'trending'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const PERIODS = {
+    '24h': 24 * HOUR_MS,
+    '7d': 7 * 24 * HOUR_MS,
+    '30d': 30 * 24 * HOUR_MS
+};
+const DEFAULT_TRENDING_PERIOD = '7d';
+
+// Trending weights per event type
+const TRENDING_WEIGHTS = {
+    like: 3,
+    comment: 2,
+    download: 1
+};
+
+// Timestamps in the database are CURRENT_TIMESTAMP strings (UTC, "YYYY-MM-DD HH:MM:SS")
+function toSqlTime(date) {
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Returns { board, window: null | { since, until, halfLifeHours, label } } or { error }.
+// Rolling windows end at the next full hour so that consecutive pages of the
+// same board see the same window (and the same trending scores).
+function parseLeaderboardParams(query, now = new Date()) {
+    const board = query.board || 'likes';
+    if (!BOARDS.includes(board)) {
+        return { error: `board must be one of: ${BOARDS.join(', ')}` };
+    }
+
+    const period = query.period || '';
+    const hasCalendar = Boolean(query.year || query.month);
+    if (period && period !== 'all' && hasCalendar) {
+        return { error: 'Use either period or year/month, not both' };
+    }
+
+    let since = null;
+    let until = null;
+    let label = 'all-time';
+    const nextHour = new Date(Math.floor(now.getTime() / HOUR_MS) * HOUR_MS + HOUR_MS);
+
+    if (hasCalendar) {
+        const year = query.year ? parseInt(query.year, 10) : now.getUTCFullYear();
+        const month = query.month ? parseInt(query.month, 10) : null;
+        if (!Number.isInteger(year) || year < 1970 || year > 9999) {
+            return { error: 'year must be a four-digit year' };
+        }
+        if (month !== null && (!Number.isInteger(month) || month < 1 || month > 12)) {
+            return { error: 'month must be between 1 and 12' };
+        }
+        since = new Date(Date.UTC(year, month ? month - 1 : 0, 1));
+        until = month ? new Date(Date.UTC(year, month, 1)) : new Date(Date.UTC(year + 1, 0, 1));
+        label = month ? `${year}-${String(month).padStart(2, '0')}` : String(year);
+    } else if (period && period !== 'all') {
+        if (!PERIODS[period]) {
+            return { error: `period must be one of: ${Object.keys(PERIODS).join(', ')}, all` };
+        }
+        until = nextHour;
+        since = new Date(until.getTime() - PERIODS[period]);
+        label = `last-${period}`;
+    } else if (board === 'trending') {
+        until = nextHour;
+        since = new Date(until.getTime() - PERIODS[DEFAULT_TRENDING_PERIOD]);
+        label = `last-${DEFAULT_TRENDING_PERIOD}`;
+    }
+
+    if (!since) return { board, window: null };
+    const spanHours = (until - since) / HOUR_MS;
+    return {
+        board,
+        window: {
+            since: toSqlTime(since),
+            until: toSqlTime(until),
+            halfLifeHours: spanHours / 4,
+            label
+        }
+    };
+}
+
+module.exports = {
+    BOARDS,
+    TRENDING_WEIGHTS,
+    toSqlTime,
+    parseLeaderboardParams
+};
@@ -0,0 +1,361 @@
+// Remove privacy-sensitive metadata from uploaded images before they are kept.
+//
+// JPEG, PNG, WebP and GIF are edited losslessly at the container level:
+// metadata segments/chunks/blocks are dropped and the pixel data is copied
+// byte for byte.
+//   - default: all EXIF, XMP, IPTC and text comments are removed. When the
+//     photo relies on an EXIF orientation, a minimal EXIF block holding only
+//     that orientation is written back so it still displays upright.
+//   - keepCamera: EXIF is kept (make, model, exposure...) but the GPS IFD is
+//     unlinked and its bytes zeroed. XMP is still removed since it can repeat
+//     the location.
+// GIF has no EXIF, but application extensions can carry XMP (with a location)
+// and comment extensions free text: both go, except the looping extension.
+// AVIF is re-encoded with sharp, which drops all metadata (camera details
+// cannot be kept for AVIF).
+const sharp = require('sharp');
+
+const EXIF_HEADER = Buffer.from('Exif\0\0', 'latin1');
+const XMP_HEADER = Buffer.from('http://ns.adobe.com/xap/1.0/\0', 'latin1');
+const ICC_HEADER = Buffer.from('ICC_PROFILE\0', 'latin1');
+
+const TAG_ORIENTATION = 0x0112;
+const TAG_GPS_IFD = 0x8825;
+
+// Byte size of each TIFF field type (index = type id)
+const TIFF_TYPE_SIZES = [0, 1, 1, 2, 4, 8, 1, 1, 2, 4, 8, 4, 8];
+
+// --- TIFF / EXIF helpers ---------------------------------------------------
+
+function tiffReader(tiff) {
+    const order = tiff.toString('latin1', 0, 2);
+    if (order !== 'II' && order !== 'MM') throw new Error('Invalid TIFF header');
+    const le = order === 'II';
+    const u16 = (off) => (le ? tiff.readUInt16LE(off) : tiff.readUInt16BE(off));
+    const u32 = (off) => (le ? tiff.readUInt32LE(off) : tiff.readUInt32BE(off));
+    const w16 = (value, off) => (le ? tiff.writeUInt16LE(value, off) : tiff.writeUInt16BE(value, off));
+    if (u16(2) !== 42) throw new Error('Invalid TIFF magic');
+    return { le, u16, u32, w16, ifd0: u32(4) };
+}
+
+function checkRange(tiff, start, length) {
+    if (start < 8 || start + length > tiff.length) throw new Error('EXIF offset out of range');
+}
+
+// Orientation (1-8) from IFD0, or 1 when missing/unreadable
+function readOrientation(tiff) {
+    try {
+        const { u16, ifd0 } = tiffReader(tiff);
+        checkRange(tiff, ifd0, 2);
+        const count = u16(ifd0);
+        checkRange(tiff, ifd0 + 2, count * 12);
+        for (let i = 0; i < count; i++) {
+            const entry = ifd0 + 2 + i * 12;
+            if (u16(entry) === TAG_ORIENTATION) {
+                const value = u16(entry + 8);
+                return value >= 1 && value <= 8 ? value : 1;
+            }
+        }
+    } catch (_) {
+        // fall through
+    }
+    return 1;
+}
+
+// Minimal big-endian TIFF holding only IFD0/Orientation
+function orientationOnlyTiff(orientation) {
+    const tiff = Buffer.alloc(26);
+    tiff.write('MM', 0, 'latin1');
+    tiff.writeUInt16BE(42, 2);
+    tiff.writeUInt32BE(8, 4);
+    tiff.writeUInt16BE(1, 8); // one entry
+    tiff.writeUInt16BE(TAG_ORIENTATION, 10);
+    tiff.writeUInt16BE(3, 12); // SHORT
+    tiff.writeUInt32BE(1, 14);
+    tiff.writeUInt16BE(orientation, 18);
+    tiff.writeUInt32BE(0, 22); // no next IFD
+    return tiff;
+}
+
+// Copy of `source` with the GPS IFD removed from IFD0 and its data zeroed.
+// Throws if the structure cannot be parsed safely.
+function removeGps(source) {
+    const tiff = Buffer.from(source);
+    const { u16, u32, w16, ifd0 } = tiffReader(tiff);
+    checkRange(tiff, ifd0, 2);
+    const count = u16(ifd0);
+    checkRange(tiff, ifd0 + 2, count * 12 + 4);
+
+    let gpsIndex = -1;
+    for (let i = 0; i < count; i++) {
+        if (u16(ifd0 + 2 + i * 12) === TAG_GPS_IFD) gpsIndex = i;
+    }
+    if (gpsIndex === -1) return tiff;
+
+    const gpsIfd = u32(ifd0 + 2 + gpsIndex * 12 + 8);
+    checkRange(tiff, gpsIfd, 2);
+    const gpsCount = u16(gpsIfd);
+    checkRange(tiff, gpsIfd + 2, gpsCount * 12 + 4);
+
+    // Zero out-of-line values (coordinates are RATIONAL arrays), then the IFD
+    for (let i = 0; i < gpsCount; i++) {
+        const entry = gpsIfd + 2 + i * 12;
+        const size = (TIFF_TYPE_SIZES[u16(entry + 2)] || 1) * u32(entry + 4);
+        if (size > 4) {
+            const valueOffset = u32(entry + 8);
+            checkRange(tiff, valueOffset, size);
+            tiff.fill(0, valueOffset, valueOffset + size);
+        }
+    }
+    tiff.fill(0, gpsIfd, gpsIfd + 2 + gpsCount * 12 + 4);
+
+    // Drop the pointer entry: shift later entries and the next-IFD offset up
+    const entryStart = ifd0 + 2 + gpsIndex * 12;
+    const tableEnd = ifd0 + 2 + count * 12 + 4;
+    tiff.copy(tiff, entryStart, entryStart + 12, tableEnd);
+    tiff.fill(0, tableEnd - 12, tableEnd);
+    w16(count - 1, ifd0);
+    return tiff;
+}
+
+// Decide what EXIF (raw TIFF) to keep; null means none
+function scrubTiff(tiff, keepCamera) {
+    if (keepCamera) {
+        try {
+            return removeGps(tiff);
+        } catch (_) {
+            // Unparseable EXIF: fall back to the default, stripping it
+        }
+    }
+    const orientation = readOrientation(tiff);
+    return orientation !== 1 ? orientationOnlyTiff(orientation) : null;
+}
+
+// --- JPEG ------------------------------------------------------------------
+
+function jpegSegment(marker, payload) {
+    const header = Buffer.from([0xFF, marker, 0, 0]);
+    header.writeUInt16BE(payload.length + 2, 2);
+    return Buffer.concat([header, payload]);
+}
+
+function stripJpeg(buf, keepCamera) {
+    const out = [buf.subarray(0, 2)]; // SOI
+    let exifWritten = false;
+    let off = 2;
+
+    while (off + 4 <= buf.length) {
+        if (buf[off] !== 0xFF) throw new Error('Invalid JPEG segment');
+        const marker = buf[off + 1];
+        if (marker === 0xFF) { off++; continue; } // fill byte
+        if (marker === 0xDA) {
+            // Start of scan: copy compressed data up to and including EOI and
+            // drop anything appended after it (e.g. MPF preview images)
+            const eoi = buf.indexOf(Buffer.from([0xFF, 0xD9]), off + 2);
+            out.push(buf.subarray(off, eoi === -1 ? buf.length : eoi + 2));
+            return Buffer.concat(out);
+        }
+        const length = buf.readUInt16BE(off + 2);
+        const segment = buf.subarray(off, off + 2 + length);
+        const payload = segment.subarray(4);
+        off += 2 + length;
+
+        if (marker === 0xE1 && payload.subarray(0, 6).equals(EXIF_HEADER)) {
+            const tiff = scrubTiff(payload.subarray(6), keepCamera);
+            if (tiff && !exifWritten) {
+                out.push(jpegSegment(0xE1, Buffer.concat([EXIF_HEADER, tiff])));
+                exifWritten = true;
+            }
+            continue;
+        }
+        if (marker === 0xE2 && payload.subarray(0, ICC_HEADER.length).equals(ICC_HEADER)) {
+            out.push(segment); // colour profile
+            continue;
+        }
+        // JFIF (APP0) and Adobe (APP14) affect decoding; other APPn and comments go
+        if ((marker >= 0xE1 && marker <= 0xED) || marker === 0xEF || marker === 0xFE) continue;
+        out.push(segment);
+    }
+    throw new Error('Truncated JPEG');
+}
+
+// --- PNG -------------------------------------------------------------------
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buf) {
+    let c = 0xFFFFFFFF;
+    for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xFF] ^ (c >>> 8);
+    return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(data.length, 0);
+    header.write(type, 4, 'latin1');
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(Buffer.concat([header.subarray(4), data])), 0);
+    return Buffer.concat([header, data, crc]);
+}
+
+// Text chunks can hold XMP, comments or locations; tIME is the edit time
+const PNG_DROP_CHUNKS = ['tEXt', 'zTXt', 'iTXt', 'tIME'];
+
+function stripPng(buf, keepCamera) {
+    const out = [buf.subarray(0, 8)];
+    let off = 8;
+    while (off + 12 <= buf.length) {
+        const length = buf.readUInt32BE(off);
+        const type = buf.toString('latin1', off + 4, off + 8);
+        const end = off + 12 + length;
+        if (end > buf.length) throw new Error('Truncated PNG');
+        const chunk = buf.subarray(off, end);
+        off = end;
+
+        if (type === 'eXIf') {
+            const tiff = scrubTiff(chunk.subarray(8, 8 + length), keepCamera);
+            if (tiff) out.push(pngChunk('eXIf', tiff));
+        } else if (!PNG_DROP_CHUNKS.includes(type)) {
+            out.push(chunk);
+        }
+        if (type === 'IEND') return Buffer.concat(out);
+    }
+    throw new Error('Truncated PNG');
+}
+
+// --- WebP ------------------------------------------------------------------
+
+const VP8X_EXIF_FLAG = 0x08;
+const VP8X_XMP_FLAG = 0x04;
+
+function riffChunk(fourcc, data) {
+    const header = Buffer.alloc(8);
+    header.write(fourcc, 0, 'latin1');
+    header.writeUInt32LE(data.length, 4);
+    return Buffer.concat(data.length % 2 ? [header, data, Buffer.alloc(1)] : [header, data]);
+}
+
+function stripWebp(buf, keepCamera) {
+    const chunks = [];
+    let vp8x = null;
+    let hasExif = false;
+    let off = 12;
+    while (off + 8 <= buf.length) {
+        const fourcc = buf.toString('latin1', off, off + 4);
+        const size = buf.readUInt32LE(off + 4);
+        const end = off + 8 + size + (size % 2);
+        if (off + 8 + size > buf.length) throw new Error('Truncated WebP');
+        const data = buf.subarray(off + 8, off + 8 + size);
+        off = end;
+
+        if (fourcc === 'XMP ') continue;
+        if (fourcc === 'EXIF') {
+            // Some writers prefix the TIFF data with "Exif\0\0"
+            const raw = data.subarray(0, 6).equals(EXIF_HEADER) ? data.subarray(6) : data;
+            const tiff = scrubTiff(raw, keepCamera);
+            if (tiff) {
+                chunks.push(riffChunk('EXIF', tiff));
+                hasExif = true;
+            }
+            continue;
+        }
+        const copy = riffChunk(fourcc, data);
+        if (fourcc === 'VP8X') vp8x = copy;
+        chunks.push(copy);
+    }
+    if (vp8x) {
+        let flags = vp8x[8] & ~VP8X_XMP_FLAG;
+        flags = hasExif ? flags | VP8X_EXIF_FLAG : flags & ~VP8X_EXIF_FLAG;
+        vp8x[8] = flags;
+    }
+    const body = Buffer.concat(chunks);
+    const header = Buffer.alloc(12);
+    header.write('RIFF', 0, 'latin1');
+    header.writeUInt32LE(body.length + 4, 4);
+    header.write('WEBP', 8, 'latin1');
+    return Buffer.concat([header, body]);
+}
+
+// --- GIF -------------------------------------------------------------------
+
+// Application extensions that only control animation looping
+const GIF_LOOP_APPLICATIONS = ['NETSCAPE2.0', 'ANIMEXTS1.0'];
+
+// Offset just past a chain of data sub-blocks (ended by a zero-size block)
+function skipGifSubBlocks(buf, off) {
+    while (off < buf.length) {
+        const size = buf[off];
+        off += 1 + size;
+        if (size === 0) return off;
+    }
+    throw new Error('Truncated GIF');
+}
+
+// Size in bytes of the colour table announced by a packed-fields byte
+function gifColorTableSize(packed) {
+    return packed & 0x80 ? 3 * (1 << ((packed & 0x07) + 1)) : 0;
+}
+
+function stripGif(buf) {
+    if (buf.length < 13) throw new Error('Truncated GIF');
+    // Header, logical screen descriptor and global colour table
+    let off = 13 + gifColorTableSize(buf[10]);
+    const out = [buf.subarray(0, off)];
+
+    while (off < buf.length) {
+        const start = off;
+        const introducer = buf[off];
+        if (introducer === 0x3B) {
+            // Trailer; anything appended after it is dropped
+            out.push(buf.subarray(off, off + 1));
+            return Buffer.concat(out);
+        }
+        if (introducer === 0x2C) {
+            // Image descriptor, local colour table, LZW code size, image data
+            if (off + 11 > buf.length) throw new Error('Truncated GIF');
+            off = skipGifSubBlocks(buf, off + 11 + gifColorTableSize(buf[off + 9]));
+            out.push(buf.subarray(start, off));
+            continue;
+        }
+        if (introducer !== 0x21 || off + 2 > buf.length) throw new Error('Invalid GIF block');
+        const label = buf[off + 1];
+        off = skipGifSubBlocks(buf, off + 2);
+        if (label === 0xFE) continue; // comment
+        if (label === 0xFF) {
+            const identifier = buf.toString('latin1', start + 3, start + 3 + Math.min(buf[start + 2], 11));
+            if (!GIF_LOOP_APPLICATIONS.includes(identifier)) continue;
+        }
+        // Graphic control (frame timing, transparency) and plain text are kept
+        out.push(buf.subarray(start, off));
+    }
+    throw new Error('Truncated GIF');
+}
+
+// --- Entry point -----------------------------------------------------------
+
+// Resolves to the cleaned image bytes. `format` comes from detectImageType().
+async function stripMetadata(buf, format, { keepCamera = false } = {}) {
+    switch (format) {
+        case 'jpeg':
+            return stripJpeg(buf, keepCamera);
+        case 'png':
+            return stripPng(buf, keepCamera);
+        case 'webp':
+            return stripWebp(buf, keepCamera);
+        case 'gif':
+            return stripGif(buf);
+        case 'avif':
+            // rotate() bakes the orientation in, since no metadata survives
+            return sharp(buf).rotate().avif({ quality: 70 }).toBuffer();
+        default:
+            return buf;
+    }
+}
+
+module.exports = {
+    stripMetadata
+};
@@ -0,0 +1,154 @@
+// Numbered schema migrations.
+//
+// Every schema change lives in migrations/NNN_name.js, which exports
+// `async up(db)` and, when it can be undone, `async down(db)`. `db` is a small
+// promise wrapper (run/get/all/exec). Applied versions are recorded in
+// schema_migrations; each migration runs in its own transaction together with
+// that bookkeeping, so a failure leaves the database as it was.
+//
+// Foreign keys are switched off while a migration runs (SQLite needs that to
+// rebuild tables), checked with PRAGMA foreign_key_check before committing,
+// and switched on again afterwards, so callers end up with an enforcing
+// connection.
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_(\w+)\.js$/;
+
+function promiseDb(db) {
+    return {
+        run: (sql, params = []) => new Promise((resolve, reject) => {
+            db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve(this);
+            });
+        }),
+        get: (sql, params = []) => new Promise((resolve, reject) => {
+            db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+        }),
+        all: (sql, params = []) => new Promise((resolve, reject) => {
+            db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+        }),
+        exec: (sql) => new Promise((resolve, reject) => {
+            db.exec(sql, (err) => (err ? reject(err) : resolve()));
+        })
+    };
+}
+
+// Migration modules in version order: [{ version, name, up, down }]
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(dir)
+        .map((file) => ({ file, match: FILE_PATTERN.exec(file) }))
+        .filter(({ match }) => match)
+        .map(({ file, match }) => {
+            const { up, down } = require(path.join(dir, file));
+            if (typeof up !== 'function') throw new Error(`Migration ${file} does not export up()`);
+            return { version: Number(match[1]), name: match[2], up, down };
+        })
+        .sort((a, b) => a.version - b.version);
+    migrations.forEach((m, i) => {
+        if (i > 0 && migrations[i - 1].version === m.version) {
+            throw new Error(`Two migrations share version ${m.version}`);
+        }
+    });
+    return migrations;
+}
+
+async function appliedVersions(q) {
+    await q.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    const rows = await q.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    return new Map(rows.map((row) => [row.version, row]));
+}
+
+async function inTransaction(q, label, work) {
+    await q.exec('PRAGMA foreign_keys = OFF');
+    try {
+        await q.exec('BEGIN IMMEDIATE');
+        try {
+            await work();
+            const violations = await q.all('PRAGMA foreign_key_check');
+            if (violations.length > 0) {
+                const tables = [...new Set(violations.map((v) => v.table))].join(', ');
+                throw new Error(`${label} leaves ${violations.length} foreign key violation(s) in ${tables}`);
+            }
+            await q.exec('COMMIT');
+        } catch (err) {
+            await q.exec('ROLLBACK').catch(() => {}); // SQLite may already have rolled back
+            throw err;
+        }
+    } finally {
+        await q.exec('PRAGMA foreign_keys = ON');
+    }
+}
+
+function label(m) {
+    return `${String(m.version).padStart(3, '0')}_${m.name}`;
+}
+
+// Every known migration with its applied_at (null when pending). Versions
+// recorded in the database without a file are listed with `missing: true`.
+async function migrationStatus(db, { dir } = {}) {
+    const applied = await appliedVersions(promiseDb(db));
+    const migrations = loadMigrations(dir);
+    const known = new Set(migrations.map((m) => m.version));
+    const status = migrations.map((m) => ({
+        version: m.version,
+        name: m.name,
+        applied_at: applied.has(m.version) ? applied.get(m.version).applied_at : null
+    }));
+    for (const row of applied.values()) {
+        if (!known.has(row.version)) status.push({ ...row, missing: true });
+    }
+    return status.sort((a, b) => a.version - b.version);
+}
+
+// Apply pending migrations in order (up to and including `to`, if given).
+// Resolves to the labels of the applied migrations.
+async function migrateUp(db, { dir, to = Infinity, log = () => {} } = {}) {
+    const q = promiseDb(db);
+    const applied = await appliedVersions(q);
+    const done = [];
+    for (const m of loadMigrations(dir)) {
+        if (m.version > to || applied.has(m.version)) continue;
+        await inTransaction(q, label(m), async () => {
+            await m.up(q);
+            await q.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [m.version, m.name]);
+        });
+        log(`Applied migration ${label(m)}`);
+        done.push(label(m));
+    }
+    await q.exec('PRAGMA foreign_keys = ON');
+    return done;
+}
+
+// Roll back the most recently applied migration. Resolves to its label, or
+// null when nothing is applied.
+async function migrateDown(db, { dir, log = () => {} } = {}) {
+    const q = promiseDb(db);
+    const applied = await appliedVersions(q);
+    const last = [...applied.keys()].pop();
+    if (last === undefined) return null;
+    const m = loadMigrations(dir).find((candidate) => candidate.version === last);
+    if (!m) throw new Error(`Migration ${last} is applied but its file is missing`);
+    if (typeof m.down !== 'function') throw new Error(`Migration ${label(m)} cannot be rolled back`);
+    await inTransaction(q, label(m), async () => {
+        await m.down(q);
+        await q.run('DELETE FROM schema_migrations WHERE version = ?', [m.version]);
+    });
+    log(`Rolled back migration ${label(m)}`);
+    return label(m);
+}
+
+module.exports = {
+    MIGRATIONS_DIR,
+    promiseDb,
+    loadMigrations,
+    migrationStatus,
+    migrateUp,
+    migrateDown
+};
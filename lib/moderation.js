@@ -0,0 +1,27 @@
+// Moderation vocabulary: what can be reported and why, report states, and how
+// bans are matched.
+const REPORT_TARGETS = ['upload', 'comment'];
+const REPORT_REASONS = ['spam', 'offensive', 'illegal', 'copyright', 'personal_info', 'other'];
+const REPORT_STATUSES = ['open', 'resolved', 'dismissed'];
+const BAN_KINDS = ['name', 'ip'];
+
+// Names are banned case- and whitespace-insensitively; IPs as given
+function normalizeBanValue(kind, value) {
+    const text = String(value || '').trim();
+    return kind === 'name' ? text.replace(/\s+/g, ' ').toLowerCase() : text;
+}
+
+// Positive integer ids from a JSON array or a comma-separated string
+function parseIdList(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(',');
+    return [...new Set(list.map((v) => parseInt(v, 10)).filter((n) => Number.isInteger(n) && n > 0))];
+}
+
+module.exports = {
+    REPORT_TARGETS,
+    REPORT_REASONS,
+    REPORT_STATUSES,
+    BAN_KINDS,
+    normalizeBanValue,
+    parseIdList
+};
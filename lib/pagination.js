@@ -0,0 +1,106 @@
+// Cursor (keyset) pagination helpers for list endpoints.
+//
+// A list is described by its FROM/WHERE parts and an ORDER BY made of
+// { expr, key, dir } entries, where `expr` is the SQL expression, `key` the
+// property holding that value on each returned row and `dir` ASC or DESC.
+// The last entry must be unique (normally the upload id) so ordering is stable.
+const DEFAULT_LIMIT = 24;
+const MAX_LIMIT = 100;
+
+function encodeCursor(values) {
+    return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+function decodeCursor(cursor, length) {
+    try {
+        const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        return Array.isArray(values) && values.length === length ? values : null;
+    } catch (_) {
+        return null;
+    }
+}
+
+// Read `limit` and `cursor` from a query string. Returns { error } on bad input.
+function parsePageParams(query, order) {
+    let limit = DEFAULT_LIMIT;
+    if (query.limit !== undefined && query.limit !== '') {
+        limit = parseInt(query.limit, 10);
+        if (!Number.isInteger(limit) || limit < 1) {
+            return { error: 'limit must be a positive integer' };
+        }
+        limit = Math.min(limit, MAX_LIMIT);
+    }
+
+    let after = null;
+    if (query.cursor) {
+        after = decodeCursor(query.cursor, order.length);
+        if (!after) return { error: 'Invalid cursor' };
+    }
+    return { limit, after };
+}
+
+// Build "rows strictly after `values`" for the given ordering, e.g. for
+// (a DESC, id DESC): (a < ?) OR (a = ? AND id < ?)
+function keysetCondition(order, values) {
+    const clauses = [];
+    const params = [];
+    order.forEach((col, i) => {
+        const parts = [];
+        for (let j = 0; j < i; j++) {
+            parts.push(`${order[j].expr} = ?`);
+            params.push(values[j]);
+        }
+        parts.push(`${col.expr} ${col.dir === 'ASC' ? '>' : '<'} ?`);
+        params.push(values[i]);
+        clauses.push(`(${parts.join(' AND ')})`);
+    });
+    return { sql: `(${clauses.join(' OR ')})`, params };
+}
+
+function orderByClause(order) {
+    return order.map((col) => `${col.expr} ${col.dir}`).join(', ');
+}
+
+// Run the count and page queries for a list.
+// spec: { select, selectParams: [], from, where: [], params: [], order, limit, after }
+// `selectParams` bind placeholders in `select`; `params` those in `from` and `where`.
+// cb(err, { items, next_cursor, total })
+function fetchPage(db, spec, cb) {
+    const where = spec.where.length ? ` WHERE ${spec.where.join(' AND ')}` : '';
+    const countSql = `SELECT COUNT(*) AS total FROM ${spec.from}${where}`;
+
+    db.get(countSql, spec.params, (countErr, countRow) => {
+        if (countErr) return cb(countErr);
+
+        const pageWhere = spec.where.slice();
+        const pageParams = (spec.selectParams || []).concat(spec.params);
+        if (spec.after) {
+            const keyset = keysetCondition(spec.order, spec.after);
+            pageWhere.push(keyset.sql);
+            pageParams.push(...keyset.params);
+        }
+        const pageSql = `SELECT ${spec.select} FROM ${spec.from}`
+            + (pageWhere.length ? ` WHERE ${pageWhere.join(' AND ')}` : '')
+            + ` ORDER BY ${orderByClause(spec.order)} LIMIT ?`;
+        // Fetch one extra row to know whether another page exists
+        pageParams.push(spec.limit + 1);
+
+        db.all(pageSql, pageParams, (pageErr, rows) => {
+            if (pageErr) return cb(pageErr);
+            const items = rows.slice(0, spec.limit);
+            const last = items[items.length - 1];
+            cb(null, {
+                items,
+                next_cursor: rows.length > spec.limit ? encodeCursor(spec.order.map((col) => last[col.key])) : null,
+                total: countRow.total
+            });
+        });
+    });
+}
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    parsePageParams,
+    fetchPage
+};
@@ -0,0 +1,64 @@
+// Perceptual hashing for "similar images".
+//
+// dHash: the image is shrunk to 9x8 greyscale and each bit records whether a
+// pixel is brighter than its right-hand neighbour. Resizing, recompression and
+// small edits flip few bits, so the Hamming distance between two hashes
+// (0 = same picture, 64 = unrelated) measures how alike the images look.
+const sharp = require('sharp');
+
+const HASH_WIDTH = 8;
+const HASH_HEIGHT = 8;
+const HASH_BITS = HASH_WIDTH * HASH_HEIGHT;
+// Hashes within this many bits of all-0 or all-1 are "flat" (see isFlatHash)
+const FLAT_HASH_BITS = 3;
+
+// Resolves to a 16-character hex string. `input` is a file path or Buffer.
+async function computePerceptualHash(input) {
+    const pixels = await sharp(input)
+        .rotate()
+        .flatten({ background: '#ffffff' })
+        .greyscale()
+        .resize(HASH_WIDTH + 1, HASH_HEIGHT, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+
+    let hex = '';
+    let nibble = 0;
+    for (let y = 0; y < HASH_HEIGHT; y++) {
+        for (let x = 0; x < HASH_WIDTH; x++) {
+            const i = y * (HASH_WIDTH + 1) + x;
+            nibble = (nibble << 1) | (pixels[i] > pixels[i + 1] ? 1 : 0);
+            if ((y * HASH_WIDTH + x) % 4 === 3) {
+                hex += nibble.toString(16);
+                nibble = 0;
+            }
+        }
+    }
+    return hex;
+}
+
+const NIBBLE_BITS = [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4];
+
+// Number of differing bits between two hashes from computePerceptualHash
+function hammingDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+        distance += NIBBLE_BITS[parseInt(a[i], 16) ^ parseInt(b[i], 16)];
+    }
+    return distance;
+}
+
+// True when the hash records (almost) no structure: uniform or smoothly
+// shaded images all hash to about 0 (or ffff...), whatever their colour, so
+// such a hash says nothing about which picture it came from
+function isFlatHash(hash) {
+    const bits = hammingDistance(hash, '0'.repeat(hash.length));
+    return bits <= FLAT_HASH_BITS || bits >= HASH_BITS - FLAT_HASH_BITS;
+}
+
+module.exports = {
+    HASH_BITS,
+    computePerceptualHash,
+    hammingDistance,
+    isFlatHash
+};
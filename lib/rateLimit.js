@@ -0,0 +1,67 @@
+// In-memory failure counters with lockout, used to slow down secret-code guessing.
+//
+// A key (an upload, an album, a client IP) is locked for `lockoutMs` once it
+// collects `maxFailures` failed attempts within `windowMs`. State lives in the
+// server process, so a restart clears it.
+function createAttemptLimiter({ maxFailures, windowMs, lockoutMs }) {
+    const entries = new Map(); // key -> { failures: [timestamps], lockedUntil }
+
+    function recent(entry, now) {
+        entry.failures = entry.failures.filter((at) => now - at < windowMs);
+        return entry.failures;
+    }
+
+    // Milliseconds until `key` may try again (0 when it is not locked)
+    function retryAfter(key, now = Date.now()) {
+        const entry = entries.get(key);
+        if (!entry || !entry.lockedUntil) return 0;
+        if (entry.lockedUntil <= now) {
+            entry.lockedUntil = 0;
+            entry.failures = [];
+            return 0;
+        }
+        return entry.lockedUntil - now;
+    }
+
+    // Record a failed attempt; returns true when this failure triggers a lockout
+    function fail(key, now = Date.now()) {
+        const entry = entries.get(key) || { failures: [], lockedUntil: 0 };
+        entries.set(key, entry);
+        recent(entry, now).push(now);
+        if (entry.failures.length >= maxFailures) {
+            entry.lockedUntil = now + lockoutMs;
+            return true;
+        }
+        return false;
+    }
+
+    function reset(key) {
+        entries.delete(key);
+    }
+
+    // Drop entries with nothing left to remember
+    function prune(now = Date.now()) {
+        for (const [key, entry] of entries) {
+            if (entry.lockedUntil <= now && recent(entry, now).length === 0) entries.delete(key);
+        }
+    }
+
+    return { retryAfter, fail, reset, prune };
+}
+
+// Per-key posting quota on top of the same counters: a key that has made
+// `maxPosts` posts within `windowMs` waits `lockoutMs`. Only posts that were
+// actually made are recorded, so rejected ones do not use up the quota.
+function createPostQuota({ maxPosts, windowMs, lockoutMs }) {
+    const limiter = createAttemptLimiter({ maxFailures: maxPosts, windowMs, lockoutMs });
+    return {
+        retryAfter: limiter.retryAfter,
+        recordPost: limiter.fail,
+        prune: limiter.prune
+    };
+}
+
+module.exports = {
+    createAttemptLimiter,
+    createPostQuota
+};
@@ -0,0 +1,197 @@
+// Storage driver for S3 and S3-compatible services (MinIO, Ceph, R2, ...),
+// speaking the REST API directly with Signature Version 4.
+//
+//   S3_BUCKET             bucket name (required)
+//   S3_REGION             signing region (default us-east-1)
+//   S3_ENDPOINT           e.g. http://localhost:9000 for MinIO
+//                         (default https://s3.<region>.amazonaws.com)
+//   S3_ACCESS_KEY_ID      credentials (required)
+//   S3_SECRET_ACCESS_KEY
+//   S3_PREFIX             optional key prefix, e.g. "pixelvault/"
+//
+// Requests use path-style URLs (<endpoint>/<bucket>/<key>), which every
+// S3-compatible service understands.
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { isValidKey, notFound } = require('./storage');
+
+const EMPTY_SHA256 = crypto.createHash('sha256').update('').digest('hex');
+
+function s3ConfigFromEnv(env) {
+    const region = env.S3_REGION || 'us-east-1';
+    return {
+        bucket: env.S3_BUCKET,
+        region,
+        endpoint: env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`,
+        accessKeyId: env.S3_ACCESS_KEY_ID,
+        secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+        prefix: env.S3_PREFIX || ''
+    };
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function sha256Hex(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// RFC 3986 encoding as SigV4 wants it ('/' kept in paths, encoded in queries)
+function uriEncode(value, keepSlash = false) {
+    const encoded = encodeURIComponent(value)
+        .replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+    return keepSlash ? encoded.replace(/%2F/g, '/') : encoded;
+}
+
+// Sign one request. `request`: { method, path, query: {}, headers: {}, payloadHash, date }.
+// Returns { headers, query }: the headers to send (with Authorization,
+// without Host) and the encoded query string.
+function signRequest(config, request) {
+    const amzDate = request.date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const day = amzDate.slice(0, 8);
+    const host = new URL(config.endpoint).host;
+    const headers = {
+        ...request.headers,
+        host,
+        'x-amz-content-sha256': request.payloadHash,
+        'x-amz-date': amzDate
+    };
+
+    const names = Object.keys(headers).map((name) => name.toLowerCase()).sort();
+    const lower = {};
+    Object.entries(headers).forEach(([name, value]) => {
+        lower[name.toLowerCase()] = String(value).trim().replace(/\s+/g, ' ');
+    });
+    const canonicalHeaders = names.map((name) => `${name}:${lower[name]}\n`).join('');
+    const signedHeaders = names.join(';');
+    const canonicalQuery = Object.keys(request.query || {}).sort()
+        .map((name) => `${uriEncode(name)}=${uriEncode(request.query[name])}`)
+        .join('&');
+    const canonicalRequest = [
+        request.method,
+        uriEncode(request.path, true),
+        canonicalQuery,
+        canonicalHeaders,
+        signedHeaders,
+        request.payloadHash
+    ].join('\n');
+
+    const scope = `${day}/${config.region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+    const signingKey = ['s3', 'aws4_request'].reduce(
+        (key, part) => hmac(key, part),
+        hmac(hmac(`AWS4${config.secretAccessKey}`, day), config.region)
+    );
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    delete lower.host; // fetch sets it
+    return {
+        headers: {
+            ...lower,
+            authorization: `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+        },
+        query: canonicalQuery
+    };
+}
+
+function xmlValue(xml, tag) {
+    const match = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`).exec(xml);
+    return match ? decodeXml(match[1]) : null;
+}
+
+function decodeXml(text) {
+    return text.replace(/&(lt|gt|quot|apos|amp);/g, (_, name) => ({ lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' }[name]));
+}
+
+async function collect(body) {
+    if (Buffer.isBuffer(body)) return body;
+    const chunks = [];
+    for await (const chunk of body) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+function createS3Storage(config) {
+    ['bucket', 'accessKeyId', 'secretAccessKey'].forEach((name) => {
+        if (!config[name]) throw new Error(`S3 storage needs ${name} (set S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY)`);
+    });
+    const endpoint = config.endpoint.replace(/\/+$/, '');
+    const prefix = config.prefix;
+
+    async function request(method, key, { query = {}, headers = {}, body = null } = {}) {
+        const objectPath = key === null ? `/${config.bucket}` : `/${config.bucket}/${prefix}${key}`;
+        const payloadHash = body ? sha256Hex(body) : EMPTY_SHA256;
+        const signed = signRequest(config, {
+            method, path: objectPath, query, headers, payloadHash, date: new Date()
+        });
+        const url = `${endpoint}${uriEncode(objectPath, true)}${signed.query ? `?${signed.query}` : ''}`;
+        return fetch(url, { method, headers: signed.headers, body });
+    }
+
+    async function fail(res, method, key) {
+        const text = await res.text().catch(() => '');
+        const code = xmlValue(text, 'Code');
+        return new Error(`S3 ${method} ${key === null ? config.bucket : key} failed: ${res.status}${code ? ` ${code}` : ''}`);
+    }
+
+    async function stat(key) {
+        const res = await request('HEAD', key);
+        if (res.status === 404) return null;
+        if (!res.ok) throw await fail(res, 'HEAD', key);
+        const modified = res.headers.get('last-modified');
+        return {
+            size: Number(res.headers.get('content-length')),
+            modified: modified ? new Date(modified) : null
+        };
+    }
+
+    async function* list() {
+        let token = null;
+        do {
+            const query = { 'list-type': '2', prefix };
+            if (token) query['continuation-token'] = token;
+            const res = await request('GET', null, { query });
+            if (!res.ok) throw await fail(res, 'LIST', null);
+            const xml = await res.text();
+            for (const match of xml.matchAll(/<Key>([\s\S]*?)<\/Key>/g)) {
+                // Other objects sharing the bucket/prefix are not ours
+                const key = decodeXml(match[1]).slice(prefix.length);
+                if (isValidKey(key)) yield key;
+            }
+            token = xmlValue(xml, 'IsTruncated') === 'true' ? xmlValue(xml, 'NextContinuationToken') : null;
+        } while (token);
+    }
+
+    return {
+        driver: 's3',
+        description: `${endpoint}/${config.bucket}/${prefix}`,
+        async put(key, body, { contentType } = {}) {
+            const data = await collect(body);
+            const headers = { 'content-length': data.length };
+            if (contentType) headers['content-type'] = contentType;
+            const res = await request('PUT', key, { headers, body: data });
+            if (!res.ok) throw await fail(res, 'PUT', key);
+        },
+        async getStream(key) {
+            const res = await request('GET', key);
+            if (res.status === 404) throw notFound(key);
+            if (!res.ok) throw await fail(res, 'GET', key);
+            return Readable.fromWeb(res.body);
+        },
+        stat,
+        async exists(key) {
+            return (await stat(key)) !== null;
+        },
+        async delete(key) {
+            const res = await request('DELETE', key);
+            if (!res.ok && res.status !== 404) throw await fail(res, 'DELETE', key);
+        },
+        list
+    };
+}
+
+module.exports = {
+    s3ConfigFromEnv,
+    signRequest,
+    createS3Storage
+};
@@ -0,0 +1,190 @@
+// In-process stand-in for an S3 bucket, used by `npm run storage -- selftest`
+// to exercise the S3 driver without a real service. It speaks the subset of
+// the REST API the driver uses (PUT/GET/HEAD/DELETE object, ListObjectsV2
+// with paging) and keeps objects in memory.
+//
+// Every request must carry a valid Signature Version 4. The signature is
+// recomputed here from the raw request, independently of lib/s3Storage.js,
+// so a signing bug shows up as 403 SignatureDoesNotMatch like it would on S3.
+const http = require('http');
+const crypto = require('crypto');
+
+// S3 refuses requests signed further than this from its clock
+const MAX_CLOCK_SKEW_MS = 15 * 60 * 1000;
+
+function sha256Hex(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function rfc3986(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function escapeXml(text) {
+    return String(text).replace(/[<>&'"]/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+}
+
+function s3Error(status, code) {
+    const err = new Error(code);
+    err.status = status;
+    err.code = code;
+    return err;
+}
+
+// Canonical query string: every parameter decoded, re-encoded and sorted
+function canonicalQuery(search) {
+    if (!search) return '';
+    return search.split('&').filter(Boolean)
+        .map((pair) => {
+            const [name, value = ''] = pair.split('=');
+            const decode = (s) => decodeURIComponent(s.replace(/\+/g, '%20'));
+            return [rfc3986(decode(name)), rfc3986(decode(value))];
+        })
+        .sort((a, b) => (a[0] === b[0] ? (a[1] < b[1] ? -1 : 1) : (a[0] < b[0] ? -1 : 1)))
+        .map(([name, value]) => `${name}=${value}`)
+        .join('&');
+}
+
+// `config`: { accessKeyId, secretAccessKey, region, bucket, pageSize? }.
+// pageSize (default 1000) caps list pages, so a small value tests paging.
+function createS3Stub(config) {
+    const region = config.region || 'us-east-1';
+    const pageSize = config.pageSize || 1000;
+    // "<key>" -> { body, contentType, modified }
+    const objects = new Map();
+    const stats = { requests: 0, lists: 0, rejected: 0 };
+    let server = null;
+
+    function verifySignature(req, rawPath, search, body) {
+        const auth = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/s3\/aws4_request, SignedHeaders=([a-z0-9;-]+), Signature=([0-9a-f]{64})$/
+            .exec(req.headers.authorization || '');
+        if (!auth) throw s3Error(403, 'AccessDenied');
+        const [, accessKeyId, day, scopeRegion, signedHeaders, signature] = auth;
+        if (accessKeyId !== config.accessKeyId) throw s3Error(403, 'InvalidAccessKeyId');
+        if (scopeRegion !== region) throw s3Error(400, 'AuthorizationHeaderMalformed');
+
+        const amzDate = req.headers['x-amz-date'] || '';
+        const date = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(amzDate);
+        if (!date || amzDate.slice(0, 8) !== day) throw s3Error(403, 'AccessDenied');
+        const signedAt = Date.UTC(date[1], date[2] - 1, date[3], date[4], date[5], date[6]);
+        if (Math.abs(Date.now() - signedAt) > MAX_CLOCK_SKEW_MS) throw s3Error(403, 'RequestTimeTooSkewed');
+
+        const payloadHash = req.headers['x-amz-content-sha256'];
+        if (payloadHash !== sha256Hex(body)) throw s3Error(400, 'XAmzContentSHA256Mismatch');
+
+        const names = signedHeaders.split(';');
+        if (!['host', 'x-amz-date', 'x-amz-content-sha256'].every((name) => names.includes(name))) {
+            throw s3Error(403, 'AccessDenied');
+        }
+        const canonicalHeaders = names
+            .map((name) => `${name}:${String(req.headers[name] || '').trim().replace(/\s+/g, ' ')}\n`)
+            .join('');
+        const canonicalRequest = [req.method, rawPath, canonicalQuery(search), canonicalHeaders, signedHeaders, payloadHash].join('\n');
+        const scope = `${day}/${region}/s3/aws4_request`;
+        const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+        let key = hmac(`AWS4${config.secretAccessKey}`, day);
+        for (const part of [region, 's3', 'aws4_request']) key = hmac(key, part);
+        const expected = crypto.createHmac('sha256', key).update(stringToSign).digest('hex');
+        if (!crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))) {
+            throw s3Error(403, 'SignatureDoesNotMatch');
+        }
+    }
+
+    function listObjects(res, query) {
+        if (query.get('list-type') !== '2') throw s3Error(400, 'InvalidArgument');
+        stats.lists++;
+        const prefix = query.get('prefix') || '';
+        const after = query.has('continuation-token')
+            ? Buffer.from(query.get('continuation-token'), 'base64').toString()
+            : (query.get('start-after') || '');
+        const max = Math.min(Number(query.get('max-keys')) || pageSize, pageSize);
+        const keys = [...objects.keys()].filter((key) => key.startsWith(prefix) && key > after).sort();
+        const page = keys.slice(0, max);
+        const truncated = keys.length > page.length;
+        const contents = page.map((key) => {
+            const object = objects.get(key);
+            return `<Contents><Key>${escapeXml(key)}</Key><LastModified>${object.modified.toISOString()}</LastModified>`
+                + `<Size>${object.body.length}</Size></Contents>`;
+        }).join('');
+        const next = truncated ? `<NextContinuationToken>${Buffer.from(page[page.length - 1]).toString('base64')}</NextContinuationToken>` : '';
+        res.writeHead(200, { 'content-type': 'application/xml' });
+        res.end(`<?xml version="1.0" encoding="UTF-8"?><ListBucketResult><Name>${escapeXml(config.bucket)}</Name>`
+            + `<Prefix>${escapeXml(prefix)}</Prefix><KeyCount>${page.length}</KeyCount><MaxKeys>${max}</MaxKeys>`
+            + `<IsTruncated>${truncated}</IsTruncated>${contents}${next}</ListBucketResult>`);
+    }
+
+    function handle(req, res, body) {
+        const url = new URL(req.url, 'http://stub');
+        const rawPath = url.pathname;
+        verifySignature(req, rawPath, url.search.slice(1), body);
+
+        const [, bucket, ...rest] = decodeURIComponent(rawPath).split('/');
+        if (bucket !== config.bucket) throw s3Error(404, 'NoSuchBucket');
+        const key = rest.join('/');
+        if (!key) {
+            if (req.method !== 'GET') throw s3Error(405, 'MethodNotAllowed');
+            return listObjects(res, url.searchParams);
+        }
+
+        switch (req.method) {
+            case 'PUT':
+                objects.set(key, { body, contentType: req.headers['content-type'] || 'binary/octet-stream', modified: new Date() });
+                res.writeHead(200, { etag: `"${crypto.createHash('md5').update(body).digest('hex')}"` });
+                return res.end();
+            case 'DELETE':
+                objects.delete(key);
+                res.writeHead(204);
+                return res.end();
+            case 'GET':
+            case 'HEAD': {
+                const object = objects.get(key);
+                if (!object) throw s3Error(404, 'NoSuchKey');
+                res.writeHead(200, {
+                    'content-length': object.body.length,
+                    'content-type': object.contentType,
+                    'last-modified': object.modified.toUTCString()
+                });
+                return res.end(req.method === 'HEAD' ? undefined : object.body);
+            }
+            default:
+                throw s3Error(405, 'MethodNotAllowed');
+        }
+    }
+
+    return {
+        objects,
+        stats,
+        // Resolves to the endpoint URL, e.g. http://127.0.0.1:53211
+        start(port = 0, host = '127.0.0.1') {
+            server = http.createServer((req, res) => {
+                const chunks = [];
+                req.on('data', (chunk) => chunks.push(chunk));
+                req.on('end', () => {
+                    stats.requests++;
+                    try {
+                        handle(req, res, Buffer.concat(chunks));
+                    } catch (err) {
+                        if (!err.status) throw err;
+                        stats.rejected++;
+                        // HEAD responses have no body, only the status
+                        res.writeHead(err.status, { 'content-type': 'application/xml' });
+                        res.end(req.method === 'HEAD' ? undefined : `<?xml version="1.0" encoding="UTF-8"?><Error><Code>${err.code}</Code></Error>`);
+                    }
+                });
+            });
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, host, () => resolve(`http://${host}:${server.address().port}`));
+            });
+        },
+        stop() {
+            return new Promise((resolve) => (server ? server.close(() => resolve()) : resolve()));
+        }
+    };
+}
+
+module.exports = { createS3Stub };
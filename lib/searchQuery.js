@@ -0,0 +1,43 @@
+// Translate the search box syntax into SQLite FTS5 MATCH expressions.
+//
+//   sunset beach      both words (prefix match: "beach" also finds "beaches")
+//   "golden hour"     exact phrase
+//   -night            exclude uploads containing "night"
+//   -"black white"    exclude a phrase
+//
+// Every term is emitted as a quoted FTS5 string, so user input can never
+// inject FTS operators or cause a syntax error.
+
+// Terms without any letter or digit produce no tokens and would break MATCH
+const HAS_TOKEN = /[\p{L}\p{N}]/u;
+
+function quote(text) {
+    return `"${text.replace(/"/g, '""')}"`;
+}
+
+// Split a raw query into { include, exclude } lists of { text, phrase }
+function parseSearchQuery(raw) {
+    const include = [];
+    const exclude = [];
+    const pattern = /(-?)(?:"([^"]*)"?|(\S+))/g;
+    let match;
+    while ((match = pattern.exec(String(raw || ''))) !== null) {
+        const negated = match[1] === '-';
+        const phrase = match[2] !== undefined;
+        const text = (phrase ? match[2] : match[3]).trim();
+        if (!text || !HAS_TOKEN.test(text)) continue;
+        (negated ? exclude : include).push({ text, phrase });
+    }
+    return { include, exclude };
+}
+
+// Build a MATCH expression from parsed terms (AND by default); null when empty
+function toMatchExpression(terms, operator = 'AND') {
+    if (!terms.length) return null;
+    return terms.map((term) => (term.phrase ? quote(term.text) : `${quote(term.text)}*`)).join(` ${operator} `);
+}
+
+module.exports = {
+    parseSearchQuery,
+    toMatchExpression
+};
@@ -0,0 +1,68 @@
+// Secret codes: the ownership proof for uploads and albums (there are no accounts).
+//
+// Codes are 16 characters from an unambiguous alphabet (80 bits), drawn with
+// crypto.randomInt and shown as four dash-separated groups. Only a salted
+// scrypt hash is stored ("scrypt$<salt>$<hash>", hex), and checks compare in
+// constant time. Input is normalized first, so dashes, spaces and case do not
+// matter; that also keeps the old 6-character codes valid after migration.
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no confusing chars
+const CODE_LENGTH = 16;
+const GROUP_SIZE = 4;
+const SALT_BYTES = 16;
+const KEY_BYTES = 32;
+const HASH_PREFIX = 'scrypt';
+
+function generateSecretCode() {
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+        if (i > 0 && i % GROUP_SIZE === 0) code += '-';
+        code += ALPHABET.charAt(crypto.randomInt(ALPHABET.length));
+    }
+    return code;
+}
+
+function normalizeSecretCode(code) {
+    return String(code).replace(/[\s-]/g, '').toUpperCase();
+}
+
+// Resolves to the storable hash of `code`
+async function hashSecretCode(code) {
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const key = await scrypt(normalizeSecretCode(code), salt, KEY_BYTES);
+    return `${HASH_PREFIX}$${salt.toString('hex')}$${key.toString('hex')}`;
+}
+
+function isSecretHash(value) {
+    return typeof value === 'string' && value.startsWith(`${HASH_PREFIX}$`);
+}
+
+// Resolves to true when `code` matches a hash from hashSecretCode
+async function verifySecretCode(code, stored) {
+    if (!code || !isSecretHash(stored)) return false;
+    const [, saltHex, keyHex] = stored.split('$');
+    const expected = Buffer.from(keyHex || '', 'hex');
+    if (expected.length !== KEY_BYTES) return false;
+    const actual = await scrypt(normalizeSecretCode(code), Buffer.from(saltHex, 'hex'), KEY_BYTES);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// Constant-time comparison for plain credentials (e.g. the admin token):
+// hashing both sides first gives equal lengths without leaking the length.
+function safeEqual(a, b) {
+    const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+module.exports = {
+    generateSecretCode,
+    normalizeSecretCode,
+    hashSecretCode,
+    isSecretHash,
+    verifySecretCode,
+    safeEqual
+};
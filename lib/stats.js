@@ -0,0 +1,78 @@
+// Statistics parameters and time series for /api/stats and /api/uploads/:id/stats.
+//
+//   interval  day | week     (bucket size, default day)
+//   range     number of buckets ending with the current one
+//             (default 30 days / 12 weeks, at most 365 days / 104 weeks)
+//
+// Buckets are UTC calendar days, or weeks starting on Monday.
+const { toSqlTime } = require('./leaderboard');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INTERVALS = {
+    day: { days: 1, defaultRange: 30, maxRange: 365 },
+    week: { days: 7, defaultRange: 12, maxRange: 104 }
+};
+
+// SQLite expression mapping a timestamp column to its bucket ("YYYY-MM-DD" of the day or week start)
+function bucketSql(interval, column) {
+    return interval === 'week'
+        ? `date(${column}, 'weekday 0', '-6 days')`
+        : `date(${column})`;
+}
+
+// Start (UTC midnight) of the bucket containing `date`
+function bucketStart(interval, date) {
+    const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    if (interval === 'week') {
+        const sinceMonday = (day.getUTCDay() + 6) % 7;
+        return new Date(day.getTime() - sinceMonday * DAY_MS);
+    }
+    return day;
+}
+
+// Returns { interval, range, since, until, buckets } or { error }. `since`/`until`
+// are database timestamps; `buckets` lists every bucket key, oldest first.
+function parseStatsParams(query, now = new Date()) {
+    const interval = query.interval || 'day';
+    const config = INTERVALS[interval];
+    if (!config) {
+        return { error: `interval must be one of: ${Object.keys(INTERVALS).join(', ')}` };
+    }
+
+    let range = config.defaultRange;
+    if (query.range !== undefined && query.range !== '') {
+        range = Number(query.range);
+        if (!Number.isInteger(range) || range < 1 || range > config.maxRange) {
+            return { error: `range must be between 1 and ${config.maxRange} for interval=${interval}` };
+        }
+    }
+
+    const last = bucketStart(interval, now);
+    const first = new Date(last.getTime() - (range - 1) * config.days * DAY_MS);
+    const until = new Date(last.getTime() + config.days * DAY_MS);
+    const buckets = [];
+    for (let i = 0; i < range; i++) {
+        buckets.push(new Date(first.getTime() + i * config.days * DAY_MS).toISOString().slice(0, 10));
+    }
+    return { interval, range, since: toSqlTime(first), until: toSqlTime(until), buckets };
+}
+
+// Turn rows of { bucket, type, count } into one entry per bucket. `fields`
+// maps event types to the output keys, e.g. { like: 'likes' }; buckets without
+// events of a type get 0.
+function buildSeries(buckets, fields, rows) {
+    const empty = () => Object.fromEntries(Object.values(fields).map((key) => [key, 0]));
+    const byBucket = new Map(buckets.map((bucket) => [bucket, empty()]));
+    for (const row of rows) {
+        const counts = byBucket.get(row.bucket);
+        if (counts && fields[row.type]) counts[fields[row.type]] = row.count;
+    }
+    return buckets.map((bucket) => ({ date: bucket, ...byBucket.get(bucket) }));
+}
+
+module.exports = {
+    INTERVALS,
+    bucketSql,
+    parseStatsParams,
+    buildSeries
+};
@@ -0,0 +1,139 @@
+// Where upload files live. Every stored file is addressed by a key relative to
+// the storage root: "<hash>.png" for originals, "derivatives/<name>" for the
+// generated sizes. A driver implements
+//
+//   put(key, body, { contentType })  body is a Buffer or a readable stream
+//   getStream(key)                   readable stream; rejects with code ENOENT when missing
+//   stat(key)                        { size, modified } or null when missing
+//   exists(key)                      boolean
+//   delete(key)                      resolves even when the key is already gone
+//   list()                           async iterator over every key
+//
+// createStorage() picks the driver from STORAGE_DRIVER: "local" (default,
+// files under STORAGE_LOCAL_DIR, default uploads/) or "s3" (see s3Storage.js).
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const DEFAULT_LOCAL_DIR = path.join(__dirname, '..', 'uploads');
+const DRIVERS = ['local', 's3'];
+
+// Keys are generated by the server; anything else (absolute paths, "..",
+// hidden files) is refused before it reaches a driver
+const KEY_PATTERN = /^(derivatives\/)?[A-Za-z0-9][\w.-]*$/;
+
+function isValidKey(key) {
+    return typeof key === 'string' && KEY_PATTERN.test(key);
+}
+
+function notFound(key) {
+    const err = new Error(`Stored file not found: ${key}`);
+    err.code = 'ENOENT';
+    return err;
+}
+
+function createLocalStorage(dir = DEFAULT_LOCAL_DIR) {
+    const root = path.resolve(dir);
+    fs.mkdirSync(root, { recursive: true });
+
+    function resolve(key) {
+        if (!isValidKey(key)) throw new Error(`Invalid storage key: ${key}`);
+        return path.join(root, key);
+    }
+
+    async function stat(key) {
+        try {
+            const info = await fs.promises.stat(resolve(key));
+            return info.isFile() ? { size: info.size, modified: info.mtime } : null;
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+    }
+
+    async function* walk(dir, prefix) {
+        const entries = await fs.promises.readdir(dir, { withFileTypes: true }).catch((err) => {
+            if (err.code === 'ENOENT') return [];
+            throw err;
+        });
+        for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+            const key = prefix + entry.name;
+            if (entry.isDirectory()) yield* walk(path.join(dir, entry.name), `${key}/`);
+            else if (entry.isFile() && isValidKey(key)) yield key;
+        }
+    }
+
+    return {
+        driver: 'local',
+        description: root,
+        // Written to a temp name first so readers never see a partial file
+        async put(key, body) {
+            const file = resolve(key);
+            // Hidden name: list() skips it, and so does the uploads route
+            const temp = path.join(path.dirname(file), `.${path.basename(file)}.${crypto.randomBytes(6).toString('hex')}.tmp`);
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            try {
+                if (Buffer.isBuffer(body)) await fs.promises.writeFile(temp, body);
+                else await pipeline(body, fs.createWriteStream(temp));
+                await fs.promises.rename(temp, file);
+            } catch (err) {
+                await fs.promises.rm(temp, { force: true });
+                throw err;
+            }
+        },
+        async getStream(key) {
+            if (!(await stat(key))) throw notFound(key);
+            return fs.createReadStream(resolve(key));
+        },
+        stat,
+        async exists(key) {
+            return (await stat(key)) !== null;
+        },
+        async delete(key) {
+            await fs.promises.unlink(resolve(key)).catch((err) => {
+                if (err.code !== 'ENOENT') throw err;
+            });
+        },
+        list() {
+            return walk(root, '');
+        }
+    };
+}
+
+// Driver settings from the environment (or any object with the same names)
+function createStorage(env = process.env) {
+    const driver = (env.STORAGE_DRIVER || 'local').toLowerCase();
+    if (driver === 'local') return createLocalStorage(env.STORAGE_LOCAL_DIR || DEFAULT_LOCAL_DIR);
+    if (driver === 's3') {
+        // Loaded on demand: s3Storage.js uses helpers from this module
+        const { createS3Storage, s3ConfigFromEnv } = require('./s3Storage');
+        return createS3Storage(s3ConfigFromEnv(env));
+    }
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected one of: ${DRIVERS.join(', ')})`);
+}
+
+// A stream that only opens the stored file once it is first read, so queuing
+// many files (e.g. ZIP entries) does not open them all at once
+function lazyStream(storage, key) {
+    return Readable.from((async function* () {
+        yield* await storage.getStream(key);
+    })(), { objectMode: false });
+}
+
+async function readBuffer(storage, key) {
+    const chunks = [];
+    for await (const chunk of await storage.getStream(key)) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+module.exports = {
+    DRIVERS,
+    isValidKey,
+    notFound,
+    createLocalStorage,
+    createStorage,
+    lazyStream,
+    readBuffer
+};
@@ -0,0 +1,40 @@
+// Tag normalization shared by uploads, search and the tag endpoints.
+//
+// Tags are typed as a comma-separated string. Each tag is lower-cased, has
+// whitespace trimmed and collapsed and a leading "#" removed, so "  Digital   Art"
+// and "#digital art" both become "digital art".
+const MAX_TAG_LENGTH = 40;
+const MAX_TAGS = 20;
+
+function normalizeTag(tag) {
+    return String(tag || '')
+        .trim()
+        .replace(/^#+/, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toLowerCase()
+        .slice(0, MAX_TAG_LENGTH)
+        .trim();
+}
+
+// Parse a comma-separated string (or an array) into unique normalized tags
+function parseTags(input) {
+    const raw = Array.isArray(input) ? input : String(input || '').split(',');
+    const tags = [];
+    raw.forEach((tag) => {
+        const name = normalizeTag(tag);
+        if (name && !tags.includes(name) && tags.length < MAX_TAGS) tags.push(name);
+    });
+    return tags;
+}
+
+// The denormalized form kept in uploads.tags
+function formatTags(tags) {
+    return tags.join(', ');
+}
+
+module.exports = {
+    normalizeTag,
+    parseTags,
+    formatTags
+};
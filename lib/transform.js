@@ -0,0 +1,117 @@
+// On-demand renditions (GET /api/image/:id): query parameters, with caps,
+// and rendering with sharp
+const sharp = require('sharp');
+
+// Larger requests are capped, not refused
+const MAX_DIMENSION = 4096;
+const FITS = ['cover', 'contain'];
+
+// `quality` is the default; PNG is lossless and ignores it
+const OUTPUT_FORMATS = {
+    webp: { mime: 'image/webp', ext: '.webp', quality: 80 },
+    avif: { mime: 'image/avif', ext: '.avif', quality: 50 },
+    jpeg: { mime: 'image/jpeg', ext: '.jpg', quality: 82 },
+    png: { mime: 'image/png', ext: '.png', quality: null }
+};
+
+// Same backdrop as the JPEG derivatives for transparent sources
+const JPEG_BACKGROUND = '#0e0e0e';
+
+function parseWholeNumber(value, name, max) {
+    if (value === undefined || value === '') return { value: null };
+    if (!/^\d+$/.test(String(value)) || Number(value) === 0) {
+        return { error: `${name} must be a positive whole number` };
+    }
+    return { value: Math.min(Number(value), max) };
+}
+
+// ?width=&height=&fit=&format=&quality= -> { width, height, fit, format, quality }
+// or { error }. Values that make no difference to the output are normalized
+// (fit without both sides, quality for PNG) so equal renditions share a cache entry.
+function parseTransformParams(query) {
+    const width = parseWholeNumber(query.width, 'width', MAX_DIMENSION);
+    if (width.error) return width;
+    const height = parseWholeNumber(query.height, 'height', MAX_DIMENSION);
+    if (height.error) return height;
+    const quality = parseWholeNumber(query.quality, 'quality', 100);
+    if (quality.error) return quality;
+
+    const fit = query.fit || 'cover';
+    if (!FITS.includes(fit)) return { error: `fit must be one of: ${FITS.join(', ')}` };
+    const format = query.format || 'webp';
+    if (!OUTPUT_FORMATS[format]) return { error: `format must be one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}` };
+
+    const defaultQuality = OUTPUT_FORMATS[format].quality;
+    return {
+        width: width.value,
+        height: height.value,
+        fit: width.value && height.value ? fit : 'cover',
+        format,
+        quality: defaultQuality === null ? null : (quality.value || defaultQuality)
+    };
+}
+
+// File-name-safe identifier of a parameter set, e.g. "1920x1080-cover-q80.webp"
+function transformKey(params) {
+    const size = `${params.width || 'auto'}x${params.height || 'auto'}`;
+    const quality = params.quality === null ? '' : `-q${params.quality}`;
+    return `${size}-${params.fit}${quality}${OUTPUT_FORMATS[params.format].ext}`;
+}
+
+// Images are never enlarged. When the source is too small, the requested box
+// shrinks as a whole so its aspect ratio (e.g. an exact 16:9 crop) is kept.
+function targetBox(sourceWidth, sourceHeight, { width, height, fit }) {
+    let scale;
+    if (width && height) {
+        const ratios = [sourceWidth / width, sourceHeight / height];
+        scale = fit === 'cover' ? Math.min(...ratios) : Math.max(...ratios);
+    } else {
+        scale = width ? sourceWidth / width : sourceHeight / height;
+    }
+    scale = Math.min(1, scale);
+    return {
+        width: width ? Math.max(1, Math.round(width * scale)) : null,
+        height: height ? Math.max(1, Math.round(height * scale)) : null
+    };
+}
+
+// Render `input` (Buffer) with parsed params. Resolves to a Buffer.
+async function renderTransform(input, params) {
+    const meta = await sharp(input).metadata();
+    // Orientations 5-8 are rotated by a quarter turn, swapping the sides
+    const turned = (meta.orientation || 1) >= 5;
+    const sourceWidth = turned ? meta.height : meta.width;
+    const sourceHeight = turned ? meta.width : meta.height;
+
+    // rotate() applies the EXIF orientation before resizing
+    const image = sharp(input).rotate();
+    if (params.width || params.height) {
+        const box = targetBox(sourceWidth, sourceHeight, params);
+        image.resize({
+            width: box.width || undefined,
+            height: box.height || undefined,
+            fit: params.fit,
+            background: { r: 0, g: 0, b: 0, alpha: 0 }
+        });
+    }
+
+    switch (params.format) {
+        case 'jpeg':
+            return image.flatten({ background: JPEG_BACKGROUND }).jpeg({ quality: params.quality, mozjpeg: true }).toBuffer();
+        case 'avif':
+            return image.avif({ quality: params.quality }).toBuffer();
+        case 'png':
+            return image.png().toBuffer();
+        default:
+            return image.webp({ quality: params.quality }).toBuffer();
+    }
+}
+
+module.exports = {
+    MAX_DIMENSION,
+    FITS,
+    OUTPUT_FORMATS,
+    parseTransformParams,
+    transformKey,
+    renderTransform
+};
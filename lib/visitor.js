@@ -0,0 +1,41 @@
+// Anonymous visitor identity: a random id kept in a signed, httpOnly cookie.
+// There are no accounts, so this is what "one like per visitor" is keyed on.
+const crypto = require('crypto');
+const fs = require('fs');
+
+const VISITOR_COOKIE = 'visitor_id';
+const ONE_YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Cookie signing secret: COOKIE_SECRET if set, otherwise a random secret
+// generated once and stored in `secretFile` so cookies survive restarts.
+function loadCookieSecret(secretFile) {
+    if (process.env.COOKIE_SECRET) return process.env.COOKIE_SECRET;
+    if (fs.existsSync(secretFile)) {
+        return fs.readFileSync(secretFile, 'utf8').trim();
+    }
+    const secret = crypto.randomBytes(32).toString('hex');
+    fs.writeFileSync(secretFile, secret, { mode: 0o600 });
+    return secret;
+}
+
+// Express middleware (after cookie-parser): sets req.visitorId, issuing a new
+// id when the cookie is missing or its signature does not verify.
+function visitorIdentity(req, res, next) {
+    let visitorId = req.signedCookies && req.signedCookies[VISITOR_COOKIE];
+    if (!visitorId) {
+        visitorId = crypto.randomUUID();
+        res.cookie(VISITOR_COOKIE, visitorId, {
+            signed: true,
+            httpOnly: true,
+            sameSite: 'lax',
+            maxAge: ONE_YEAR_MS
+        });
+    }
+    req.visitorId = visitorId;
+    next();
+}
+
+module.exports = {
+    loadCookieSecret,
+    visitorIdentity
+};
@@ -0,0 +1,342 @@
+// Baseline: the schema as it stood when numbered migrations were introduced.
+//
+// It has to bring any earlier database up to that point: a new file, the
+// original uploads/comments tables, or a database upgraded piecemeal by the
+// old startup checks. So every CREATE is IF NOT EXISTS, missing columns are
+// added one by one, and the one-off data fixes of those checks (tag links,
+// search index rebuilds, event seeding, hashing plaintext secret codes) run
+// only when there is something to fix. Rows that would break foreign keys
+// (left behind by deletes while they were not enforced) are removed.
+//
+// Later changes belong in new migrations, not here.
+const { parseTags, formatTags } = require('../lib/tags');
+const { hashSecretCode } = require('../lib/secretCodes');
+
+async function tableExists(db, name) {
+    return Boolean(await db.get("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?", [name]));
+}
+
+// Add any of `columns` ({ name: type }) that `table` lacks
+async function addMissingColumns(db, table, columns) {
+    const existing = new Set((await db.all(`PRAGMA table_info(${table})`)).map((c) => c.name));
+    for (const [name, type] of Object.entries(columns)) {
+        if (!existing.has(name)) await db.run(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+    }
+}
+
+async function createUploads(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS uploads (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            title TEXT NOT NULL,
+            description TEXT,
+            tags TEXT,
+            filename TEXT NOT NULL,
+            original_name TEXT NOT NULL,
+            uploader_name TEXT NOT NULL,
+            like_count INTEGER DEFAULT 0,
+            download_count INTEGER DEFAULT 0,
+            upload_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+            secret_code TEXT,
+            secret_hash TEXT,
+            uploader_ip TEXT,
+            hidden INTEGER NOT NULL DEFAULT 0,
+            deleted_at DATETIME,
+            expires_at DATETIME,
+            variants TEXT,
+            content_hash TEXT,
+            phash TEXT
+        )
+    `);
+    await addMissingColumns(db, 'uploads', {
+        secret_code: 'TEXT',
+        secret_hash: 'TEXT',
+        uploader_ip: 'TEXT',
+        hidden: 'INTEGER NOT NULL DEFAULT 0',
+        deleted_at: 'DATETIME',
+        expires_at: 'DATETIME',
+        variants: 'TEXT',
+        content_hash: 'TEXT',
+        phash: 'TEXT'
+    });
+    await db.run('CREATE INDEX IF NOT EXISTS idx_uploads_content_hash ON uploads(content_hash)');
+}
+
+// FTS5 index over uploads (external content), rebuilt when first created
+async function createSearchIndex(db) {
+    const existed = await tableExists(db, 'uploads_fts');
+    await db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS uploads_fts USING fts5(
+            title, description, tags, uploader_name,
+            content='uploads', content_rowid='id',
+            tokenize='unicode61 remove_diacritics 2'
+        );
+        CREATE TRIGGER IF NOT EXISTS uploads_fts_insert AFTER INSERT ON uploads BEGIN
+            INSERT INTO uploads_fts(rowid, title, description, tags, uploader_name)
+            VALUES (new.id, new.title, new.description, new.tags, new.uploader_name);
+        END;
+        CREATE TRIGGER IF NOT EXISTS uploads_fts_delete AFTER DELETE ON uploads BEGIN
+            INSERT INTO uploads_fts(uploads_fts, rowid, title, description, tags, uploader_name)
+            VALUES ('delete', old.id, old.title, old.description, old.tags, old.uploader_name);
+        END;
+        CREATE TRIGGER IF NOT EXISTS uploads_fts_update AFTER UPDATE OF title, description, tags, uploader_name ON uploads BEGIN
+            INSERT INTO uploads_fts(uploads_fts, rowid, title, description, tags, uploader_name)
+            VALUES ('delete', old.id, old.title, old.description, old.tags, old.uploader_name);
+            INSERT INTO uploads_fts(rowid, title, description, tags, uploader_name)
+            VALUES (new.id, new.title, new.description, new.tags, new.uploader_name);
+        END;
+    `);
+    if (!existed) await db.run("INSERT INTO uploads_fts(uploads_fts) VALUES ('rebuild')");
+}
+
+// Normalized tags; free-form uploads.tags of older rows are split and linked
+async function createTags(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS tags (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL UNIQUE
+        );
+        CREATE TABLE IF NOT EXISTS upload_tags (
+            upload_id INTEGER NOT NULL,
+            tag_id INTEGER NOT NULL,
+            PRIMARY KEY (upload_id, tag_id),
+            FOREIGN KEY(upload_id) REFERENCES uploads(id) ON DELETE CASCADE,
+            FOREIGN KEY(tag_id) REFERENCES tags(id) ON DELETE CASCADE
+        );
+        CREATE INDEX IF NOT EXISTS idx_upload_tags_tag ON upload_tags(tag_id);
+        CREATE TRIGGER IF NOT EXISTS upload_tags_cleanup AFTER DELETE ON uploads BEGIN
+            DELETE FROM upload_tags WHERE upload_id = old.id;
+        END;
+    `);
+    const rows = await db.all(`SELECT id, tags FROM uploads
+                               WHERE tags IS NOT NULL AND tags != ''
+                                 AND id NOT IN (SELECT upload_id FROM upload_tags)`);
+    for (const row of rows) {
+        const names = JSON.stringify(parseTags(row.tags));
+        await db.run('UPDATE uploads SET tags = ? WHERE id = ?', [formatTags(parseTags(row.tags)), row.id]);
+        await db.run('INSERT OR IGNORE INTO tags (name) SELECT value FROM json_each(?)', [names]);
+        await db.run(`INSERT OR IGNORE INTO upload_tags (upload_id, tag_id)
+                      SELECT ?, id FROM tags WHERE name IN (SELECT value FROM json_each(?))`, [row.id, names]);
+    }
+}
+
+async function createLikesAndBlobs(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS likes (
+            upload_id INTEGER NOT NULL,
+            visitor_id TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (upload_id, visitor_id),
+            FOREIGN KEY(upload_id) REFERENCES uploads(id) ON DELETE CASCADE
+        );
+        CREATE INDEX IF NOT EXISTS idx_likes_time ON likes(created_at);
+        CREATE TRIGGER IF NOT EXISTS likes_cleanup AFTER DELETE ON uploads BEGIN
+            DELETE FROM likes WHERE upload_id = old.id;
+        END;
+        CREATE TABLE IF NOT EXISTS blobs (
+            hash TEXT PRIMARY KEY,
+            filename TEXT NOT NULL,
+            ref_count INTEGER NOT NULL DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+}
+
+async function createAlbums(db) {
+    const existed = await tableExists(db, 'albums_fts');
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS albums (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            title TEXT NOT NULL,
+            description TEXT,
+            uploader_name TEXT NOT NULL,
+            secret_code TEXT,
+            secret_hash TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE TABLE IF NOT EXISTS album_items (
+            album_id INTEGER NOT NULL,
+            upload_id INTEGER NOT NULL,
+            position INTEGER NOT NULL DEFAULT 0,
+            added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (album_id, upload_id),
+            FOREIGN KEY(album_id) REFERENCES albums(id) ON DELETE CASCADE,
+            FOREIGN KEY(upload_id) REFERENCES uploads(id) ON DELETE CASCADE
+        );
+        CREATE INDEX IF NOT EXISTS idx_album_items_upload ON album_items(upload_id);
+        CREATE TRIGGER IF NOT EXISTS album_items_upload_cleanup AFTER DELETE ON uploads BEGIN
+            DELETE FROM album_items WHERE upload_id = old.id;
+        END;
+        CREATE TRIGGER IF NOT EXISTS album_items_album_cleanup AFTER DELETE ON albums BEGIN
+            DELETE FROM album_items WHERE album_id = old.id;
+        END;
+        CREATE VIRTUAL TABLE IF NOT EXISTS albums_fts USING fts5(
+            title, description, uploader_name,
+            content='albums', content_rowid='id',
+            tokenize='unicode61 remove_diacritics 2'
+        );
+        CREATE TRIGGER IF NOT EXISTS albums_fts_insert AFTER INSERT ON albums BEGIN
+            INSERT INTO albums_fts(rowid, title, description, uploader_name)
+            VALUES (new.id, new.title, new.description, new.uploader_name);
+        END;
+        CREATE TRIGGER IF NOT EXISTS albums_fts_delete AFTER DELETE ON albums BEGIN
+            INSERT INTO albums_fts(albums_fts, rowid, title, description, uploader_name)
+            VALUES ('delete', old.id, old.title, old.description, old.uploader_name);
+        END;
+        CREATE TRIGGER IF NOT EXISTS albums_fts_update AFTER UPDATE OF title, description, uploader_name ON albums BEGIN
+            INSERT INTO albums_fts(albums_fts, rowid, title, description, uploader_name)
+            VALUES ('delete', old.id, old.title, old.description, old.uploader_name);
+            INSERT INTO albums_fts(rowid, title, description, uploader_name)
+            VALUES (new.id, new.title, new.description, new.uploader_name);
+        END;
+    `);
+    await addMissingColumns(db, 'albums', { secret_hash: 'TEXT' });
+    if (!existed) await db.run("INSERT INTO albums_fts(albums_fts) VALUES ('rebuild')");
+}
+
+async function createComments(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS comments (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            upload_id INTEGER NOT NULL,
+            name TEXT,
+            comment TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            ip TEXT,
+            hidden INTEGER NOT NULL DEFAULT 0,
+            parent_id INTEGER REFERENCES comments(id) ON DELETE CASCADE,
+            depth INTEGER NOT NULL DEFAULT 0,
+            edit_hash TEXT,
+            edited_at DATETIME,
+            FOREIGN KEY(upload_id) REFERENCES uploads(id) ON DELETE CASCADE
+        );
+    `);
+    await addMissingColumns(db, 'comments', {
+        ip: 'TEXT',
+        hidden: 'INTEGER NOT NULL DEFAULT 0',
+        parent_id: 'INTEGER REFERENCES comments(id) ON DELETE CASCADE',
+        depth: 'INTEGER NOT NULL DEFAULT 0',
+        edit_hash: 'TEXT',
+        edited_at: 'DATETIME'
+    });
+    await db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_comments_upload ON comments(upload_id, created_at);
+        CREATE INDEX IF NOT EXISTS idx_comments_parent ON comments(parent_id);
+        CREATE TRIGGER IF NOT EXISTS comments_upload_cleanup AFTER DELETE ON uploads BEGIN
+            DELETE FROM comments WHERE upload_id = old.id;
+        END;
+    `);
+}
+
+// Engagement log. When it is new, seed it from the timestamps already stored
+// and fold in the old per-download table.
+async function createEvents(db) {
+    const existed = await tableExists(db, 'events');
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS events (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            type TEXT NOT NULL CHECK (type IN ('upload', 'like', 'unlike', 'download', 'comment')),
+            upload_id INTEGER NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX IF NOT EXISTS idx_events_time ON events(type, created_at);
+        CREATE INDEX IF NOT EXISTS idx_events_upload ON events(upload_id, created_at);
+    `);
+    if (existed) return;
+    const downloads = await tableExists(db, 'downloads');
+    await db.exec(`
+        INSERT INTO events (type, upload_id, created_at)
+        SELECT type, upload_id, created_at FROM (
+            SELECT 'upload' AS type, id AS upload_id, upload_date AS created_at FROM uploads
+            UNION ALL SELECT 'like', upload_id, created_at FROM likes
+            UNION ALL SELECT 'comment', upload_id, created_at FROM comments
+            ${downloads ? "UNION ALL SELECT 'download', upload_id, downloaded_at FROM downloads" : ''}
+        ) ORDER BY created_at;
+        ${downloads ? 'DROP TRIGGER IF EXISTS downloads_cleanup; DROP TABLE downloads;' : ''}
+    `);
+}
+
+async function createAdminTables(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS admin_audit (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            action TEXT NOT NULL,
+            target_type TEXT,
+            target_id INTEGER,
+            ip TEXT,
+            success INTEGER NOT NULL,
+            details TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX IF NOT EXISTS idx_admin_audit_time ON admin_audit(created_at);
+        CREATE TABLE IF NOT EXISTS reports (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            target_type TEXT NOT NULL CHECK (target_type IN ('upload', 'comment')),
+            target_id INTEGER NOT NULL,
+            reason TEXT NOT NULL,
+            details TEXT,
+            visitor_id TEXT,
+            ip TEXT,
+            status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved', 'dismissed')),
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            resolved_at DATETIME
+        );
+        CREATE INDEX IF NOT EXISTS idx_reports_target ON reports(target_type, target_id);
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_reports_open_visitor
+            ON reports(target_type, target_id, visitor_id) WHERE status = 'open';
+        CREATE TABLE IF NOT EXISTS bans (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            kind TEXT NOT NULL CHECK (kind IN ('name', 'ip')),
+            value TEXT NOT NULL,
+            reason TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (kind, value)
+        );
+    `);
+    await addMissingColumns(db, 'admin_audit', { details: 'TEXT' });
+}
+
+// Plain secret codes of older rows become scrypt hashes
+async function hashPlaintextCodes(db, table) {
+    const rows = await db.all(`SELECT id, secret_code FROM ${table} WHERE secret_code IS NOT NULL AND secret_code != ''`);
+    for (const row of rows) {
+        const hash = await hashSecretCode(row.secret_code);
+        await db.run(`UPDATE ${table} SET secret_hash = ?, secret_code = NULL WHERE id = ?`, [hash, row.id]);
+    }
+}
+
+// Rows pointing at deleted parents (possible while foreign keys were off)
+async function removeOrphans(db) {
+    await db.exec(`
+        DELETE FROM comments WHERE upload_id NOT IN (SELECT id FROM uploads);
+        DELETE FROM likes WHERE upload_id NOT IN (SELECT id FROM uploads);
+        DELETE FROM upload_tags WHERE upload_id NOT IN (SELECT id FROM uploads)
+                                   OR tag_id NOT IN (SELECT id FROM tags);
+        DELETE FROM album_items WHERE upload_id NOT IN (SELECT id FROM uploads)
+                                   OR album_id NOT IN (SELECT id FROM albums);
+    `);
+    // Replies whose parent is gone, level by level
+    let removed;
+    do {
+        ({ changes: removed } = await db.run(
+            'DELETE FROM comments WHERE parent_id IS NOT NULL AND parent_id NOT IN (SELECT id FROM comments)'
+        ));
+    } while (removed > 0);
+}
+
+async function up(db) {
+    await createUploads(db);
+    await createSearchIndex(db);
+    await createTags(db);
+    await createLikesAndBlobs(db);
+    await createAlbums(db);
+    await createComments(db);
+    await createEvents(db);
+    await createAdminTables(db);
+    await hashPlaintextCodes(db, 'uploads');
+    await hashPlaintextCodes(db, 'albums');
+    await removeOrphans(db);
+}
+
+// No down(): the baseline cannot be rolled back
+module.exports = { up };
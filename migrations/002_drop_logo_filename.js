@@ -0,0 +1,14 @@
+// uploads.logo_filename is left over from the removed per-upload logo feature
+async function hasColumn(db) {
+    return (await db.all('PRAGMA table_info(uploads)')).some((c) => c.name === 'logo_filename');
+}
+
+async function up(db) {
+    if (await hasColumn(db)) await db.run('ALTER TABLE uploads DROP COLUMN logo_filename');
+}
+
+async function down(db) {
+    if (!(await hasColumn(db))) await db.run('ALTER TABLE uploads ADD COLUMN logo_filename TEXT');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,34 @@
+// With foreign keys enforced, ON DELETE CASCADE removes the likes, tag links,
+// album items and comments of a deleted upload (and the items of a deleted
+// album), so the triggers that did it by hand are dropped.
+const CLEANUP_TRIGGERS = {
+    likes_cleanup: `AFTER DELETE ON uploads BEGIN
+        DELETE FROM likes WHERE upload_id = old.id;
+    END`,
+    upload_tags_cleanup: `AFTER DELETE ON uploads BEGIN
+        DELETE FROM upload_tags WHERE upload_id = old.id;
+    END`,
+    album_items_upload_cleanup: `AFTER DELETE ON uploads BEGIN
+        DELETE FROM album_items WHERE upload_id = old.id;
+    END`,
+    album_items_album_cleanup: `AFTER DELETE ON albums BEGIN
+        DELETE FROM album_items WHERE album_id = old.id;
+    END`,
+    comments_upload_cleanup: `AFTER DELETE ON uploads BEGIN
+        DELETE FROM comments WHERE upload_id = old.id;
+    END`
+};
+
+async function up(db) {
+    for (const name of Object.keys(CLEANUP_TRIGGERS)) {
+        await db.run(`DROP TRIGGER IF EXISTS ${name}`);
+    }
+}
+
+async function down(db) {
+    for (const [name, body] of Object.entries(CLEANUP_TRIGGERS)) {
+        await db.run(`CREATE TRIGGER IF NOT EXISTS ${name} ${body}`);
+    }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,36 @@
+// Replacing an upload's image keeps the previous file as a numbered version.
+// uploads keeps the current file; `version` is its number and `replaced_at`
+// when it was swapped in (NULL while it is the original). upload_versions
+// holds the earlier files, each holding a blob reference of its own.
+async function up(db) {
+    await db.exec(`
+        ALTER TABLE uploads ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+        ALTER TABLE uploads ADD COLUMN replaced_at DATETIME;
+        CREATE TABLE upload_versions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            upload_id INTEGER NOT NULL REFERENCES uploads(id) ON DELETE CASCADE,
+            version INTEGER NOT NULL,
+            filename TEXT NOT NULL,
+            original_name TEXT NOT NULL,
+            content_hash TEXT,
+            variants TEXT,
+            phash TEXT,
+            created_at DATETIME NOT NULL,
+            replaced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (upload_id, version)
+        );
+    `);
+}
+
+// Rolling back forgets the older versions: their blob references are dropped,
+// but their files stay in uploads/
+async function down(db) {
+    await db.exec(`
+        UPDATE blobs SET ref_count = ref_count - (SELECT COUNT(*) FROM upload_versions v WHERE v.content_hash = blobs.hash);
+        DROP TABLE upload_versions;
+        ALTER TABLE uploads DROP COLUMN replaced_at;
+        ALTER TABLE uploads DROP COLUMN version;
+    `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,11 @@
+// Burn after N downloads: how many downloads an upload has left before it is
+// moved to the trash (NULL: no limit)
+async function up(db) {
+    await db.run('ALTER TABLE uploads ADD COLUMN downloads_remaining INTEGER');
+}
+
+async function down(db) {
+    await db.run('ALTER TABLE uploads DROP COLUMN downloads_remaining');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,22 @@
+// Storage integrity checks (npm run fsck). A blob records the size of its
+// file so truncated or swapped files can be spotted without reading them, and
+// an upload whose current file is missing or damaged can be marked broken
+// (`broken_at`, `broken_reason` 'missing' | 'size' | 'hash'), which keeps it
+// out of public lists until the file is fixed.
+async function up(db) {
+    await db.exec(`
+        ALTER TABLE blobs ADD COLUMN size INTEGER;
+        ALTER TABLE uploads ADD COLUMN broken_at DATETIME;
+        ALTER TABLE uploads ADD COLUMN broken_reason TEXT;
+    `);
+}
+
+async function down(db) {
+    await db.exec(`
+        ALTER TABLE uploads DROP COLUMN broken_reason;
+        ALTER TABLE uploads DROP COLUMN broken_at;
+        ALTER TABLE blobs DROP COLUMN size;
+    `);
+}
+
+module.exports = { up, down };
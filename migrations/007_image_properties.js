@@ -0,0 +1,44 @@
+// Properties of the current image of each upload (lib/imageProperties.js):
+// displayed size, byte size of the stored file, format, orientation and a
+// small palette of dominant colours. uploads.palette is the palette as JSON
+// for API responses; upload_colors holds the same colours one per row so
+// searches can filter on them. Rows stored before this migration stay NULL
+// until `npm run backfill -- properties`.
+async function up(db) {
+    await db.exec(`
+        ALTER TABLE uploads ADD COLUMN width INTEGER;
+        ALTER TABLE uploads ADD COLUMN height INTEGER;
+        ALTER TABLE uploads ADD COLUMN file_size INTEGER;
+        ALTER TABLE uploads ADD COLUMN format TEXT;
+        ALTER TABLE uploads ADD COLUMN orientation TEXT;
+        ALTER TABLE uploads ADD COLUMN palette TEXT;
+        CREATE TABLE upload_colors (
+            upload_id INTEGER NOT NULL REFERENCES uploads(id) ON DELETE CASCADE,
+            position INTEGER NOT NULL,
+            hex TEXT NOT NULL,
+            r INTEGER NOT NULL,
+            g INTEGER NOT NULL,
+            b INTEGER NOT NULL,
+            share REAL NOT NULL,
+            name TEXT NOT NULL,
+            PRIMARY KEY (upload_id, position)
+        );
+        CREATE INDEX idx_upload_colors_name ON upload_colors (name);
+        CREATE INDEX idx_uploads_dimensions ON uploads (width, height);
+    `);
+}
+
+async function down(db) {
+    await db.exec(`
+        DROP INDEX idx_uploads_dimensions;
+        DROP TABLE upload_colors;
+        ALTER TABLE uploads DROP COLUMN palette;
+        ALTER TABLE uploads DROP COLUMN orientation;
+        ALTER TABLE uploads DROP COLUMN format;
+        ALTER TABLE uploads DROP COLUMN file_size;
+        ALTER TABLE uploads DROP COLUMN height;
+        ALTER TABLE uploads DROP COLUMN width;
+    `);
+}
+
+module.exports = { up, down };
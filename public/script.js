@@ -56,9 +56,92 @@ function formatFileSize(bytes) {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
 
+// Responsive image markup: WebP with JPEG fallback, falling back to the original upload
+// when no derivatives exist. `sizes` is the srcset sizes hint, `maxSize` caps the variant used.
+function renderPicture(file, { sizes = '100vw', maxSize = 'full', alt = 'image', style = '' } = {}) {
+    const original = `/uploads/${file.filename}`;
+    const variants = file.variants;
+    if (!variants) {
+        return `<img src="${original}" alt="${escapeHtml(alt)}" style="${style}" loading="lazy">`;
+    }
+    const order = ['thumb', 'medium', 'full'];
+    const used = order.slice(0, order.indexOf(maxSize) + 1).filter(size => variants[size]);
+    const srcset = (format) => used.map(size => `${variants[size][format]} ${variants[size].width}w`).join(', ');
+    const fallback = variants[used[used.length - 1]].jpeg;
+    return `
+        <picture>
+            <source type="image/webp" srcset="${srcset('webp')}" sizes="${sizes}">
+            <img src="${fallback}" srcset="${srcset('jpeg')}" sizes="${sizes}" alt="${escapeHtml(alt)}" style="${style}" loading="lazy">
+        </picture>
+    `;
+}
+
+// Search results mark matches with \u0002...\u0003; escape first, then turn them into <mark>
+function renderHighlight(text) {
+    return escapeHtml(text || '').replace(/\u0002/g, '<mark>').replace(/\u0003/g, '</mark>');
+}
+
+// Time left until an expiry, e.g. "3d 4h left"
+function formatCountdown(ms) {
+    if (ms <= 0) return 'Expired';
+    const minutes = Math.floor(ms / 60000);
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor((minutes % 1440) / 60);
+    if (days > 0) return `${days}d ${hours}h left`;
+    if (hours > 0) return `${hours}h ${minutes % 60}m left`;
+    if (minutes > 0) return `${minutes}m left`;
+    return `${Math.ceil(ms / 1000)}s left`;
+}
+
+// Expiry date and download limit of an upload, if it has any. The date badge
+// carries data-expires-at so tickExpiryCountdowns() keeps it current.
+function renderExpiryBadges(file) {
+    const badges = [];
+    if (file.expires_at) {
+        const expires = Date.parse(file.expires_at);
+        badges.push(`<span class="expiry-badge" data-expires-at="${escapeHtml(file.expires_at)}" title="Deleted on ${escapeHtml(new Date(expires).toLocaleString())}">⏳ ${formatCountdown(expires - Date.now())}</span>`);
+    }
+    if (file.downloads_remaining !== null && file.downloads_remaining !== undefined) {
+        const left = Math.max(file.downloads_remaining, 0);
+        badges.push(`<span class="expiry-badge" title="Deleted after its last allowed download">🔥 ${left} download${left === 1 ? '' : 's'} left</span>`);
+    }
+    return badges.length ? `<div class="expiry-badges">${badges.join('')}</div>` : '';
+}
+
+function tickExpiryCountdowns() {
+    document.querySelectorAll('[data-expires-at]').forEach(el => {
+        el.textContent = `⏳ ${formatCountdown(Date.parse(el.dataset.expiresAt) - Date.now())}`;
+    });
+}
+
 // File Card Creation
+// "1920 × 1080 · 2.4 MB · JPEG" and the dominant colours; empty for uploads whose
+// properties were never recorded. `linkColors` makes each swatch search for its colour.
+function renderImageSpecs(file, { linkColors = false } = {}) {
+    if (!file.width || !file.height) return '';
+    const parts = [`${file.width} × ${file.height}`];
+    if (file.file_size) parts.push(formatFileSize(file.file_size));
+    if (file.format) parts.push(file.format.toUpperCase());
+    const swatches = (file.palette || []).map(hex => linkColors
+        ? `<a class="palette-swatch" href="search.html?color=${encodeURIComponent(hex)}" title="Find images with ${hex}" style="background:${hex};"></a>`
+        : `<span class="palette-swatch" title="${hex}" style="background:${hex};"></span>`
+    ).join('');
+    return `
+        <div class="file-specs">
+            <span>${escapeHtml(parts.join(' · '))}</span>
+            ${swatches ? `<span class="palette">${swatches}</span>` : ''}
+        </div>
+    `;
+}
+
 function createFileCard(file) {
     const tags = file.tags ? file.tags.split(',').map(tag => tag.trim()).filter(tag => tag) : [];
+    const highlights = file.highlights;
+    const titleHtml = highlights && highlights.title ? renderHighlight(highlights.title) : escapeHtml(file.title);
+    let descriptionHtml = file.description ? `<p class="file-description">${escapeHtml(file.description)}</p>` : '';
+    if (highlights && highlights.snippet && highlights.snippet.includes('\u0002')) {
+        descriptionHtml = `<p class="file-description">${renderHighlight(highlights.snippet)}</p>`;
+    }
     return `
         <div class="file-card" data-id="${file.id}" onclick="openFile(${file.id})">
             <div class="mini-actions">
@@ -66,14 +149,21 @@ function createFileCard(file) {
                 <a class="mini-btn danger" title="Delete" href="manage.html?action=delete&id=${file.id}" onclick="event.stopPropagation()">🗑️</a>
             </div>
             <div style="width:80%; margin:0 auto 12px;">
-                <img src="/uploads/${file.filename}" alt="image" style="width:100%; height:260px; object-fit:cover; border-radius:12px; background:#0e0e0e;">
+                ${renderPicture(file, {
+                    sizes: '(max-width: 768px) 80vw, 320px',
+                    maxSize: 'medium',
+                    style: 'width:100%; height:260px; object-fit:cover; border-radius:12px; background:#0e0e0e;'
+                })}
             </div>
             <div>
-                <h4 style="margin-top:0;">${escapeHtml(file.title)}</h4>
-                ${file.description ? `<p class="file-description">${escapeHtml(file.description)}</p>` : ''}
+                ${file.badge ? `<span class="score-badge">${escapeHtml(file.badge)}</span>` : ''}
+                <h4 style="margin-top:0;">${titleHtml}</h4>
+                ${renderExpiryBadges(file)}
+                ${descriptionHtml}
                 ${tags.length > 0 ? (
-                    `<div class="file-tags">${tags.map(tag => `<span class=\"tag\">${escapeHtml(tag)}</span>`).join('')}</div>`
+                    `<div class="file-tags">${tags.map(tag => `<a class=\"tag\" href=\"tag.html?tag=${encodeURIComponent(tag)}\" onclick=\"event.stopPropagation()\">${escapeHtml(tag)}</a>`).join('')}</div>`
                 ) : ''}
+                ${renderImageSpecs(file)}
                 <div class="file-meta">
                     <div class="file-stats">
                         <div class="stat"><span>❤️</span><span>${file.like_count}</span></div>
@@ -82,7 +172,7 @@ function createFileCard(file) {
                     <div class="file-uploader">by ${escapeHtml(file.uploader_name)}</div>
                 </div>
                 <div class="file-actions">
-                    <button class="btn btn-outline like-btn" onclick="event.stopPropagation(); likeFile(${file.id})">❤️ Like</button>
+                    <button class="btn btn-outline like-btn${file.liked_by_me ? ' liked' : ''}" onclick="event.stopPropagation(); likeFile(${file.id})">${file.liked_by_me ? '❤️ Liked' : '❤️ Like'}</button>
                     <a href="${API_BASE}/download/${file.id}" class="btn btn-primary download-btn" download onclick="event.stopPropagation()">📥 Download</a>
                 </div>
                 <div class="file-date">Uploaded on ${formatDate(file.upload_date)}</div>
@@ -91,6 +181,32 @@ function createFileCard(file) {
     `;
 }
 
+// Album card: cover image (first item), title and image count
+function createAlbumCard(album) {
+    const cover = album.cover
+        ? renderPicture(album.cover, {
+            sizes: '(max-width: 768px) 80vw, 320px',
+            maxSize: 'medium',
+            alt: album.title,
+            style: 'width:100%; height:260px; object-fit:cover; border-radius:12px; background:#0e0e0e;'
+        })
+        : '<div class="album-cover-empty">No images yet</div>';
+    return `
+        <div class="file-card album-card" data-album-id="${album.id}" onclick="openAlbum(${album.id})">
+            <div style="width:80%; margin:0 auto 12px;">${cover}</div>
+            <div>
+                <span class="album-badge">Album · ${album.item_count} image${album.item_count === 1 ? '' : 's'}</span>
+                <h4 style="margin-top:8px;">${escapeHtml(album.title)}</h4>
+                ${album.description ? `<p class="file-description">${escapeHtml(album.description)}</p>` : ''}
+                <div class="file-meta">
+                    <div class="file-uploader">by ${escapeHtml(album.uploader_name)}</div>
+                </div>
+                <div class="file-date">Created on ${formatDate(album.created_at)}</div>
+            </div>
+        </div>
+    `;
+}
+
 // HTML Escaping for Security
 function escapeHtml(text) {
     const div = document.createElement('div');
@@ -99,23 +215,98 @@ function escapeHtml(text) {
 }
 
 // API Functions
-async function fetchUploads() {
+// List endpoints return { items, next_cursor, total }
+const EMPTY_PAGE = { items: [], next_cursor: null, total: 0 };
+
+async function fetchUploads(cursor = null) {
     try {
-        const response = await fetch(`${API_BASE}/uploads`);
+        const params = new URLSearchParams();
+        if (cursor) params.append('cursor', cursor);
+
+        const response = await fetch(`${API_BASE}/uploads?${params}`);
         if (!response.ok) throw new Error('Failed to fetch uploads');
         return await response.json();
     } catch (error) {
         console.error('Error fetching uploads:', error);
         showMessage('Failed to load uploads', 'error');
-        return [];
+        return EMPTY_PAGE;
+    }
+}
+
+async function fetchAlbums(query = '', cursor = null, limit = null) {
+    try {
+        const params = new URLSearchParams();
+        if (query) params.append('q', query);
+        if (cursor) params.append('cursor', cursor);
+        if (limit) params.append('limit', limit);
+
+        const response = await fetch(`${API_BASE}/albums?${params}`);
+        if (!response.ok) throw new Error('Failed to fetch albums');
+        return await response.json();
+    } catch (error) {
+        console.error('Error fetching albums:', error);
+        return EMPTY_PAGE;
+    }
+}
+
+// Bulk downloads: the server caps a ZIP at this many files
+const MAX_ZIP_FILES = 200;
+
+function showZipLink(linkId, url, total) {
+    const link = document.getElementById(linkId);
+    if (!link) return;
+    link.href = url;
+    link.textContent = total > MAX_ZIP_FILES ? `📦 Download first ${MAX_ZIP_FILES}` : `📦 Download all (${total})`;
+    link.style.display = total > 0 ? 'inline-flex' : 'none';
+}
+
+// Feeds: <link rel="alternate"> tags let browsers and feed readers find the
+// feed for what the page shows. The optional button links to the RSS version.
+const FEED_TYPES = [
+    { ext: 'rss', type: 'application/rss+xml', label: 'RSS' },
+    { ext: 'atom', type: 'application/atom+xml', label: 'Atom' },
+    { ext: 'json', type: 'application/feed+json', label: 'JSON Feed' }
+];
+
+function advertiseFeed(feedPath, title, search = '', buttonId = null) {
+    document.querySelectorAll('link[data-page-feed]').forEach(link => link.remove());
+    FEED_TYPES.forEach(({ ext, type, label }) => {
+        const link = document.createElement('link');
+        link.rel = 'alternate';
+        link.type = type;
+        link.title = `${title} (${label})`;
+        link.href = `${feedPath}.${ext}${search}`;
+        link.dataset.pageFeed = '';
+        document.head.appendChild(link);
+    });
+    const button = buttonId && document.getElementById(buttonId);
+    if (button) {
+        button.href = `${feedPath}.rss${search}`;
+        button.style.display = 'inline-flex';
     }
 }
 
-async function searchFiles(query, tag) {
+// Fill an albums strip (home and search pages); the section stays hidden when empty
+async function loadAlbumsSection(sectionId, gridId, query = '') {
+    const section = document.getElementById(sectionId);
+    const grid = document.getElementById(gridId);
+    if (!section || !grid) return;
+    const page = await fetchAlbums(query, null, 6);
+    grid.innerHTML = page.items.map(createAlbumCard).join('');
+    section.style.display = page.items.length ? 'block' : 'none';
+}
+
+// Image property filters of the search form, sent as-is to /api/search
+const SEARCH_FILTERS = ['min_resolution', 'orientation', 'aspect', 'color'];
+
+// `filters`: { min_resolution, orientation, aspect, color }, empty values ignored
+async function searchFiles(query, tag, cursor = null, filters = {}) {
     try {
         const params = new URLSearchParams();
         if (query) params.append('q', query);
         if (tag) params.append('tag', tag);
+        SEARCH_FILTERS.filter(name => filters[name]).forEach(name => params.append(name, filters[name]));
+        if (cursor) params.append('cursor', cursor);
         
         const response = await fetch(`${API_BASE}/search?${params}`);
         if (!response.ok) throw new Error('Failed to search files');
@@ -123,55 +314,223 @@ async function searchFiles(query, tag) {
     } catch (error) {
         console.error('Error searching files:', error);
         showMessage('Failed to search files', 'error');
-        return [];
+        return EMPTY_PAGE;
     }
 }
 
+// Toggle the visitor's like: POST to like, DELETE to unlike
 async function likeFile(fileId) {
+    const fileCard = document.querySelector(`[data-id="${fileId}"]`);
+    const likeBtn = fileCard ? fileCard.querySelector('.like-btn') : null;
+    const liked = likeBtn ? likeBtn.classList.contains('liked') : false;
+
     try {
+        if (likeBtn) likeBtn.disabled = true;
         const response = await fetch(`${API_BASE}/like/${fileId}`, {
-            method: 'POST'
+            method: liked ? 'DELETE' : 'POST'
         });
+        const result = await response.json().catch(() => ({}));
         
-        if (!response.ok) throw new Error('Failed to like file');
+        if (!response.ok) throw new Error(result.error || 'Failed to like file');
         
-        // Update the like count in the UI
-        const fileCard = document.querySelector(`[data-id="${fileId}"]`);
+        // Update the like state and count in the UI
         if (fileCard) {
-            const likeBtn = fileCard.querySelector('.like-btn');
             const likeCount = fileCard.querySelector('.stat span:last-child');
             
             if (likeBtn && likeCount) {
-                likeBtn.textContent = '❤️ Liked!';
-                likeBtn.disabled = true;
-                likeBtn.style.background = '#28a745';
-                likeBtn.style.color = 'white';
-                
-                const currentCount = parseInt(likeCount.textContent);
-                likeCount.textContent = currentCount + 1;
+                likeBtn.classList.toggle('liked', result.liked_by_me);
+                likeBtn.textContent = result.liked_by_me ? '❤️ Liked' : '❤️ Like';
+                likeCount.textContent = result.like_count;
             }
         }
         
-        showMessage('File liked successfully!', 'success');
+        showMessage(result.message || 'File liked successfully!', 'success');
     } catch (error) {
         console.error('Error liking file:', error);
-        showMessage('Failed to like file', 'error');
+        showMessage(error.message || 'Failed to like file', 'error');
+    } finally {
+        if (likeBtn) likeBtn.disabled = false;
     }
 }
 
-async function fetchLeaderboard(month = null) {
+// `filters`: { board, period, year, month } as accepted by /api/leaderboard
+async function fetchLeaderboard(filters = {}, cursor = null) {
     try {
-        const params = month ? `?month=${month}` : '';
-        const response = await fetch(`${API_BASE}/leaderboard${params}`);
+        const params = leaderboardParams(filters);
+        if (cursor) params.append('cursor', cursor);
+
+        const response = await fetch(`${API_BASE}/leaderboard?${params}`);
         if (!response.ok) throw new Error('Failed to fetch leaderboard');
         return await response.json();
     } catch (error) {
         console.error('Error fetching leaderboard:', error);
         showMessage('Failed to load leaderboard', 'error');
-        return [];
+        return EMPTY_PAGE;
+    }
+}
+
+function leaderboardParams({ board, period, year, month } = {}) {
+    const params = new URLSearchParams();
+    if (board) params.append('board', board);
+    if (period === 'calendar') {
+        if (year) params.append('year', year);
+        if (month) params.append('month', month);
+    } else if (period) {
+        params.append('period', period);
+    }
+    return params;
+}
+
+async function fetchTagUploads(tag, cursor = null) {
+    try {
+        const params = new URLSearchParams();
+        if (cursor) params.append('cursor', cursor);
+
+        const response = await fetch(`${API_BASE}/tags/${encodeURIComponent(tag)}/uploads?${params}`);
+        if (!response.ok) throw new Error('Failed to fetch tag');
+        return await response.json();
+    } catch (error) {
+        console.error('Error fetching tag uploads:', error);
+        showMessage('Failed to load tag', 'error');
+        return EMPTY_PAGE;
+    }
+}
+
+// Tag autocomplete for comma-separated inputs. Suggestions complete the tag
+// being typed (the text after the last comma) using a <datalist>.
+function attachTagSuggestions(input) {
+    if (!input) return;
+    const list = document.createElement('datalist');
+    list.id = `${input.id}Suggestions`;
+    input.insertAdjacentElement('afterend', list);
+    input.setAttribute('list', list.id);
+    input.setAttribute('autocomplete', 'off');
+
+    let timer = null;
+    input.addEventListener('input', () => {
+        clearTimeout(timer);
+        timer = setTimeout(async () => {
+            const parts = input.value.split(',');
+            const current = parts.pop().trim();
+            const head = parts.map(part => part.trim()).filter(Boolean);
+            if (!current) {
+                list.innerHTML = '';
+                return;
+            }
+            try {
+                const response = await fetch(`${API_BASE}/tags/suggest?q=${encodeURIComponent(current)}`);
+                if (!response.ok) return;
+                const suggestions = await response.json();
+                list.innerHTML = suggestions
+                    .filter(s => !head.includes(s.name))
+                    .map(s => `<option value="${escapeHtml([...head, s.name].join(', '))}">${s.count} upload${s.count === 1 ? '' : 's'}</option>`)
+                    .join('');
+            } catch (_) {
+                // Suggestions are optional
+            }
+        }, 150);
+    });
+}
+
+// Paginated grid: renders pages of cards into `container` with a "Load more"
+// button below it, which also loads automatically when scrolled into view.
+// fetchPage(cursor) must resolve to { items, next_cursor, total }.
+function createPagedList(container, fetchPage, onPage, renderItem = createFileCard) {
+    let button = container.parentElement.querySelector('.load-more');
+    if (!button) {
+        button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-secondary load-more';
+        button.textContent = 'Load more';
+        container.insertAdjacentElement('afterend', button);
+    }
+    button.style.display = 'none';
+
+    let cursor = null;
+    let loading = false;
+
+    async function load(reset) {
+        if (loading) return;
+        loading = true;
+        button.disabled = true;
+
+        const page = await fetchPage(reset ? null : cursor);
+        if (reset) container.innerHTML = '';
+        container.insertAdjacentHTML('beforeend', page.items.map(renderItem).join(''));
+        cursor = page.next_cursor;
+
+        button.style.display = cursor ? 'block' : 'none';
+        button.disabled = false;
+        loading = false;
+        if (onPage) onPage(page, reset);
+    }
+
+    button.onclick = () => load(false);
+    if ('IntersectionObserver' in window) {
+        new IntersectionObserver((entries) => {
+            if (entries[0].isIntersecting && cursor) load(false);
+        }, { rootMargin: '200px' }).observe(button);
+    }
+
+    return { reload: () => load(true) };
+}
+
+// Report an upload or comment (file page): resolves to the server message
+async function submitReport(targetType, targetId, reason, details) {
+    const response = await fetch(`${API_BASE}/reports`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ target_type: targetType, target_id: targetId, reason, details })
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(result.error || 'Failed to send report');
+    return result.message;
+}
+
+// Comments (file page). Edit tokens of comments posted from this browser are
+// kept in localStorage so their Edit/Delete links work without re-typing.
+const COMMENT_TOKENS_KEY = 'commentTokens';
+
+function commentTokens() {
+    try {
+        return JSON.parse(localStorage.getItem(COMMENT_TOKENS_KEY)) || {};
+    } catch (error) {
+        return {};
     }
 }
 
+function rememberCommentToken(id, token) {
+    const tokens = commentTokens();
+    if (token) tokens[id] = token;
+    else delete tokens[id];
+    localStorage.setItem(COMMENT_TOKENS_KEY, JSON.stringify(tokens));
+}
+
+async function commentRequest(path, method, payload, fallbackError) {
+    const response = await fetch(`${API_BASE}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(result.error || fallbackError);
+    return result;
+}
+
+// Resolves to { id, edit_token }
+function postComment(uploadId, name, comment, parentId = null) {
+    return commentRequest(`/uploads/${uploadId}/comments`, 'POST', { name, comment, parent_id: parentId }, 'Failed to post comment');
+}
+
+function editComment(id, editToken, comment) {
+    return commentRequest(`/comments/${id}`, 'PUT', { edit_token: editToken, comment }, 'Failed to update comment');
+}
+
+// `credentials` is { edit_token } or the upload's { secret_code }
+function deleteComment(id, credentials) {
+    return commentRequest(`/comments/${id}`, 'DELETE', credentials, 'Failed to delete comment');
+}
+
 // Page-specific Functions
 function loadHomePage() {
     const uploadsGrid = document.getElementById('uploadsGrid');
@@ -179,26 +538,37 @@ function loadHomePage() {
     
     showLoading('loading');
     
-    fetchUploads().then(uploads => {
+    const list = createPagedList(uploadsGrid, fetchUploads, (page, first) => {
+        if (!first) return;
         hideLoading('loading');
-        // Update statistics with real data
-        updateStatistics(uploads);
-
-        if (uploads.length === 0) {
+        if (page.total === 0) {
             uploadsGrid.innerHTML = '<p class="no-results">No files uploaded yet. Be the first to upload!</p>';
-            return;
         }
-        
-        uploadsGrid.innerHTML = uploads.map(createFileCard).join('');
+    });
+    list.reload();
+    loadAlbumsSection('albumsSection', 'albumsGrid');
+
+    // Site totals from the stats API
+    fetchStats({ range: 1 }).then((stats) => {
+        if (stats) updateStatistics(stats.totals);
     });
 }
 
-function updateStatistics(uploads) {
-    // Calculate real statistics from uploads data
-    const filesCount = uploads.length;
-    const totalDownloads = uploads.reduce((sum, file) => sum + (file.download_count || 0), 0);
-    const totalLikes = uploads.reduce((sum, file) => sum + (file.like_count || 0), 0);
-    
+// GET /api/stats, or /api/uploads/:id/stats when `uploadId` is given.
+// `params`: { interval, range }. Resolves to null on failure.
+async function fetchStats(params = {}, uploadId = null) {
+    const path = uploadId ? `uploads/${uploadId}/stats` : 'stats';
+    try {
+        const response = await fetch(`${API_BASE}/${path}?${new URLSearchParams(params)}`);
+        if (!response.ok) throw new Error('Failed to fetch statistics');
+        return await response.json();
+    } catch (error) {
+        console.error('Error fetching statistics:', error);
+        return null;
+    }
+}
+
+function updateStatistics(totals) {
     // Update the statistics display with animation
     const filesCountElement = document.getElementById('filesCount');
     const downloadsCountElement = document.getElementById('downloadsCount');
@@ -206,16 +576,54 @@ function updateStatistics(uploads) {
     
     // Animate the numbers counting up
     if (filesCountElement) {
-        animateNumber(filesCountElement, 0, filesCount, 1000);
+        animateNumber(filesCountElement, 0, totals.uploads, 1000);
     }
     if (downloadsCountElement) {
-        animateNumber(downloadsCountElement, 0, totalDownloads, 1200);
+        animateNumber(downloadsCountElement, 0, totals.downloads, 1200);
     }
     if (likesCountElement) {
-        animateNumber(likesCountElement, 0, totalLikes, 1400);
+        animateNumber(likesCountElement, 0, totals.likes, 1400);
     }
 }
 
+// Series drawn by renderActivityChart, bottom to top
+const ACTIVITY_SERIES = [
+    { key: 'downloads', label: 'Downloads', color: '#3b82f6' },
+    { key: 'likes', label: 'Likes', color: '#ec4899' },
+    { key: 'comments', label: 'Comments', color: '#22c55e' }
+];
+
+// Stacked bar chart (inline SVG) of a stats `series`, one bar per bucket
+function renderActivityChart(container, series) {
+    const width = 600;
+    const height = 120;
+    const totals = series.map(point => ACTIVITY_SERIES.reduce((sum, s) => sum + (point[s.key] || 0), 0));
+    const max = Math.max(1, ...totals);
+    const slot = width / series.length;
+    const barWidth = Math.max(1, slot * 0.7);
+
+    const bars = series.map((point, i) => {
+        let y = height;
+        const x = (i * slot + (slot - barWidth) / 2).toFixed(1);
+        const title = `${point.date}: ${ACTIVITY_SERIES.map(s => `${point[s.key] || 0} ${s.label.toLowerCase()}`).join(', ')}`;
+        const rects = ACTIVITY_SERIES.map(s => {
+            const h = ((point[s.key] || 0) / max) * height;
+            if (h === 0) return '';
+            y -= h;
+            return `<rect x="${x}" y="${y.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${h.toFixed(1)}" fill="${s.color}"></rect>`;
+        }).join('');
+        return `<g><title>${escapeHtml(title)}</title><rect x="${(i * slot).toFixed(1)}" y="0" width="${slot.toFixed(1)}" height="${height}" fill="transparent"></rect>${rects}</g>`;
+    }).join('');
+
+    container.innerHTML = `
+        <svg class="activity-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img" aria-label="Activity chart">${bars}</svg>
+        <div class="activity-legend">
+            ${ACTIVITY_SERIES.map(s => `<span><i style="background:${s.color}"></i>${s.label}</span>`).join('')}
+            <span class="text-muted">${series.length ? `${series[0].date} – ${series[series.length - 1].date}` : ''}</span>
+        </div>
+    `;
+}
+
 function animateNumber(element, start, end, duration) {
     const startTime = performance.now();
     const range = end - start;
@@ -244,52 +652,154 @@ function loadSearchPage() {
     const searchForm = document.getElementById('searchForm');
     const searchResults = document.getElementById('searchResults');
     const noResults = document.getElementById('noResults');
+    const resultsCount = document.getElementById('searchCount');
     
     if (!searchForm || !searchResults) return;
+
+    attachTagSuggestions(document.getElementById('searchTag'));
+
+    let query = '';
+    let tag = '';
+    let filters = {};
+    const filterParams = () => SEARCH_FILTERS.filter(name => filters[name]).map(name => [name, filters[name]]);
+    const list = createPagedList(searchResults, (cursor) => searchFiles(query, tag, cursor, filters), (page, first) => {
+        if (!first) return;
+        hideLoading('searchLoading');
+        noResults.style.display = page.total === 0 ? 'block' : 'none';
+        const zipParams = new URLSearchParams(filterParams());
+        if (query) zipParams.append('q', query);
+        if (tag) zipParams.append('tag', tag);
+        zipParams.append('limit', MAX_ZIP_FILES);
+        showZipLink('searchZip', `${API_BASE}/zip/search?${zipParams}`, page.total);
+        if (resultsCount) {
+            resultsCount.textContent = `${page.total} result${page.total === 1 ? '' : 's'}`;
+        }
+    });
     
-    searchForm.addEventListener('submit', async (e) => {
+    searchForm.addEventListener('submit', (e) => {
         e.preventDefault();
         
         const formData = new FormData(searchForm);
-        const query = formData.get('q');
-        const tag = formData.get('tag');
+        query = formData.get('q');
+        tag = formData.get('tag');
+        filters = Object.fromEntries(SEARCH_FILTERS.map(name => [name, formData.get(name) || '']));
+        const feedParams = new URLSearchParams();
+        if (query && query.trim()) feedParams.append('q', query.trim());
+        if (tag && tag.trim()) feedParams.append('tag', tag.trim());
+        // Search feeds need words or a tag; filters only narrow them
+        if ([...feedParams].length) {
+            const title = `PixelVault search: ${[...feedParams.values()].join(' ')}`;
+            filterParams().forEach(([name, value]) => feedParams.append(name, value));
+            advertiseFeed('/feeds/search', title, `?${feedParams}`, 'searchFeed');
+        }
         
         showLoading('searchLoading');
         hideMessage('noResults');
-        
-        const results = await searchFiles(query, tag);
-        hideLoading('searchLoading');
-        
-        if (results.length === 0) {
-            noResults.style.display = 'block';
-            searchResults.innerHTML = '';
+        list.reload();
+        // Albums have no tags, so they are only searched by text
+        if (query && query.trim() && !(tag && tag.trim())) {
+            loadAlbumsSection('albumResultsSection', 'albumResults', query);
         } else {
-            noResults.style.display = 'none';
-            searchResults.innerHTML = results.map(createFileCard).join('');
+            document.getElementById('albumResultsSection').style.display = 'none';
         }
     });
+
+    // search.html?q=...&tag=...&color=... (e.g. the home link of a search feed) runs that search
+    const initial = new URLSearchParams(window.location.search);
+    if (['q', 'tag', ...SEARCH_FILTERS].some(name => initial.get(name))) {
+        document.getElementById('searchQuery').value = initial.get('q') || '';
+        document.getElementById('searchTag').value = initial.get('tag') || '';
+        SEARCH_FILTERS.forEach(name => {
+            const select = searchForm.elements[name];
+            const value = initial.get(name) || '';
+            // Values without a preset (e.g. a colour swatch's hex) get an option of their own
+            if (value && ![...select.options].some(option => option.value === value)) {
+                select.add(new Option(value, value));
+            }
+            select.value = value;
+        });
+        searchForm.requestSubmit();
+    }
 }
 
+// What each board's score counts
+const BOARD_UNITS = {
+    likes: 'likes',
+    downloads: 'downloads',
+    comments: 'comments',
+    trending: 'trend score'
+};
+
+const PERIOD_LABELS = {
+    '24h': 'in the last 24 hours',
+    '7d': 'in the last 7 days',
+    '30d': 'in the last 30 days'
+};
+
 function loadLeaderboardPage() {
     const leaderboardResults = document.getElementById('leaderboardResults');
+    const boardFilter = document.getElementById('boardFilter');
+    const periodFilter = document.getElementById('periodFilter');
+    const yearFilter = document.getElementById('yearFilter');
     const monthFilter = document.getElementById('monthFilter');
     const applyFilter = document.getElementById('applyFilter');
+    const hint = document.getElementById('leaderboardHint');
     
     if (!leaderboardResults) return;
+
+    const currentYear = new Date().getFullYear();
+    for (let year = currentYear; year >= currentYear - 5; year--) {
+        yearFilter.insertAdjacentHTML('beforeend', `<option value="${year}">${year}</option>`);
+    }
+    periodFilter.addEventListener('change', () => {
+        document.querySelectorAll('.calendar-filter').forEach(el => {
+            el.style.display = periodFilter.value === 'calendar' ? 'block' : 'none';
+        });
+    });
+
+    let filters = {};
+    // Cards show the value they are ranked by
+    const renderCard = (file) => createFileCard({ ...file, badge: `${file.score} ${BOARD_UNITS[filters.board || 'likes']}` });
+    const list = createPagedList(leaderboardResults, (cursor) => fetchLeaderboard(filters, cursor), (page, first) => {
+        if (!first) return;
+        hideLoading('leaderboardLoading');
+        if (page.total === 0) {
+            leaderboardResults.innerHTML = '<p class="no-results">No files found for the selected period.</p>';
+        }
+        document.getElementById('leaderboardDownload').style.display = page.total > 0 ? 'flex' : 'none';
+        updateLeaderboardZip();
+    }, renderCard);
+
+    // ZIP of the top N for the current filters
+    const zipLimit = document.getElementById('zipLimit');
+    function updateLeaderboardZip() {
+        const params = leaderboardParams(filters);
+        params.append('limit', zipLimit.value);
+        document.getElementById('leaderboardZip').href = `${API_BASE}/zip/leaderboard?${params}`;
+    }
+    zipLimit.addEventListener('change', updateLeaderboardZip);
+
+    function describe({ board, period, year, month }) {
+        const noun = BOARD_UNITS[board];
+        if (period === 'calendar') {
+            const monthName = month ? monthFilter.options[monthFilter.selectedIndex].text + ' ' : '';
+            return `Ranked by ${noun} received in ${monthName}${year}.`;
+        }
+        if (PERIOD_LABELS[period]) return `Ranked by ${noun} received ${PERIOD_LABELS[period]}.`;
+        if (board === 'trending') return 'Ranked by recent likes, comments and downloads in the last 7 days; newer activity counts more.';
+        return `Ranked by lifetime ${noun}.`;
+    }
     
-    function loadLeaderboardData(month = null) {
+    function loadLeaderboardData() {
         showLoading('leaderboardLoading');
-        
-        fetchLeaderboard(month).then(files => {
-            hideLoading('leaderboardLoading');
-            
-            if (files.length === 0) {
-                leaderboardResults.innerHTML = '<p class="no-results">No files found for the selected period.</p>';
-                return;
-            }
-            
-            leaderboardResults.innerHTML = files.map(createFileCard).join('');
-        });
+        filters = {
+            board: boardFilter.value,
+            period: periodFilter.value,
+            year: yearFilter.value,
+            month: monthFilter.value
+        };
+        if (hint) hint.textContent = describe(filters);
+        list.reload();
     }
     
     // Load initial data
@@ -297,10 +807,7 @@ function loadLeaderboardPage() {
     
     // Handle filter changes
     if (applyFilter) {
-        applyFilter.addEventListener('click', () => {
-            const selectedMonth = monthFilter ? monthFilter.value : null;
-            loadLeaderboardData(selectedMonth);
-        });
+        applyFilter.addEventListener('click', loadLeaderboardData);
     }
 }
 
@@ -312,14 +819,34 @@ function loadUploadPage() {
     const logoInput = document.getElementById('logo');
     
     if (!uploadForm) return;
+
+    attachTagSuggestions(document.getElementById('tags'));
+    wireExpiryPicker(document.getElementById('auto_delete'), document.getElementById('expires_at_local'));
     
-    // Show file info when file is selected
+    const titleLabel = document.getElementById('titleLabel');
+
+    // Show file info when files are selected. Several files make an album:
+    // the title/description fields describe the album and each file gets a title input.
     if (fileInput && fileInfo) {
         fileInput.addEventListener('change', (e) => {
-            const file = e.target.files[0];
-            if (file) {
+            const files = Array.from(e.target.files);
+            if (titleLabel) titleLabel.textContent = files.length > 1 ? 'Album Title *' : 'Title *';
+            if (files.length > 1) {
                 fileInfo.innerHTML = `
-                    <strong>Selected:</strong> ${file.name}<br>
+                    <strong>${files.length} images selected</strong> — they will be uploaded as an album.
+                    <div class="album-file-list">
+                        ${files.map((file, i) => `
+                            <div class="album-file-row">
+                                <input type="text" name="titles" data-index="${i}" value="${escapeHtml(file.name.replace(/\.[^.]+$/, ''))}" placeholder="Title for ${escapeHtml(file.name)}">
+                                <span class="text-muted">${formatFileSize(file.size)}</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                `;
+            } else if (files.length === 1) {
+                const file = files[0];
+                fileInfo.innerHTML = `
+                    <strong>Selected:</strong> ${escapeHtml(file.name)}<br>
                     <strong>Size:</strong> ${formatFileSize(file.size)}<br>
                     <strong>Type:</strong> ${file.type || 'Unknown'}
                 `;
@@ -330,41 +857,77 @@ function loadUploadPage() {
     }
     
     // Handle form submission
-    uploadForm.addEventListener('submit', async (e) => {
+    uploadForm.addEventListener('submit', (e) => {
         e.preventDefault();
         
         const formData = new FormData(uploadForm);
-        const file = formData.get('file');
+        const files = formData.getAll('file').filter(file => file && file.size > 0);
         
-        if (!file || file.size === 0) {
+        if (files.length === 0) {
             showMessage('Please select a file to upload', 'error');
             return;
         }
-        
+        try {
+            applyCustomExpiry(formData, document.getElementById('expires_at_local'));
+        } catch (error) {
+            showMessage(error.message, 'error');
+            return;
+        }
+        if (files.length > 1) {
+            // Album upload: files go under "files", titles stay in file order
+            formData.delete('file');
+            files.forEach(file => formData.append('files', file));
+            submitUpload(formData, 'albums');
+            return;
+        }
+        formData.delete('titles');
+        submitUpload(formData, 'upload');
+    });
+
+    async function submitUpload(formData, endpoint) {
         // Show loading state
         uploadBtn.classList.add('loading');
         uploadBtn.disabled = true;
         
         try {
-            const response = await fetch(`${API_BASE}/upload`, {
+            const response = await fetch(`${API_BASE}/${endpoint}`, {
                 method: 'POST',
                 body: formData
             });
             
             const result = await response.json();
             
+            // Identical image already uploaded: offer to view it or upload anyway
+            if (response.status === 409 && result.duplicate_of) {
+                showDuplicateModal(result.duplicate_of, () => {
+                    formData.set('allow_duplicate', '1');
+                    submitUpload(formData, endpoint);
+                });
+                return;
+            }
             if (!response.ok) {
-                throw new Error(result.error || 'Upload failed');
+                const skipped = (result.skipped || []).map(s => `${s.name}: ${s.error}`).join('; ');
+                throw new Error([result.error || 'Upload failed', skipped].filter(Boolean).join(' — '));
             }
             
             // Show custom modal with secret code
             if (result && result.secret_code) {
-                showSecretCodeModal(result.secret_code);
+                const isAlbum = endpoint === 'albums';
+                showSecretCodeModal(result.secret_code, isAlbum
+                    ? `Your album "${result.title}" was created with ${result.uploads.length} image(s). This one code updates or deletes the album and every image in it:`
+                    : undefined);
+                if (isAlbum) {
+                    showAlbumUploadNotes(result);
+                } else {
+                    showSimilarWarning(result.similar);
+                }
             } else {
                 showMessage('File uploaded successfully!', 'success');
             }
             uploadForm.reset();
+            document.getElementById('auto_delete').dispatchEvent(new Event('change'));
             fileInfo.innerHTML = '';
+            if (titleLabel) titleLabel.textContent = 'Title *';
             if (logoInput) logoInput.value = '';
             
         } catch (error) {
@@ -374,11 +937,223 @@ function loadUploadPage() {
             uploadBtn.classList.remove('loading');
             uploadBtn.disabled = false;
         }
+    }
+}
+
+// Expiry selects have a "custom" option that reveals a datetime-local input
+function wireExpiryPicker(select, dateInput) {
+    if (!select || !dateInput) return;
+    select.addEventListener('change', () => {
+        dateInput.style.display = select.value === 'custom' ? 'block' : 'none';
+        dateInput.required = select.value === 'custom';
+    });
+}
+
+// Replace auto_delete=custom with expires_at as an ISO date (the local time
+// the visitor picked, converted to UTC). Throws if the date is missing.
+function applyCustomExpiry(formData, dateInput) {
+    if (formData.get('auto_delete') !== 'custom') return;
+    const time = dateInput && dateInput.value ? new Date(dateInput.value) : null;
+    if (!time || Number.isNaN(time.getTime())) throw new Error('Choose the date and time to delete the image');
+    formData.delete('auto_delete');
+    formData.set('expires_at', time.toISOString());
+}
+
+function loadTagPage() {
+    const tag = new URLSearchParams(window.location.search).get('tag');
+    const tagTitle = document.getElementById('tagTitle');
+    const tagCloud = document.getElementById('tagCloud');
+    const tagResults = document.getElementById('tagResults');
+    if (!tagResults) return;
+
+    // Tag cloud: every tag with its usage count
+    fetch(`${API_BASE}/tags`).then(r => r.json()).then(tags => {
+        tagCloud.innerHTML = tags.length === 0
+            ? '<p class="text-muted">No tags yet.</p>'
+            : tags.map(t => `
+                <a class="tag${t.name === tag ? ' active' : ''}" href="tag.html?tag=${encodeURIComponent(t.name)}">
+                    ${escapeHtml(t.name)} <span class="tag-count">${t.count}</span>
+                </a>
+            `).join('');
+    }).catch(() => {
+        tagCloud.innerHTML = '<p class="text-muted">Failed to load tags.</p>';
+    });
+
+    if (!tag) {
+        hideLoading('tagLoading');
+        return;
+    }
+
+    tagTitle.textContent = `#${tag}`;
+    document.title = `#${tag} - PixelVault`;
+    advertiseFeed(`/feeds/tags/${encodeURIComponent(tag)}`, `PixelVault: #${tag}`, '', 'tagFeed');
+    const list = createPagedList(tagResults, (cursor) => fetchTagUploads(tag, cursor), (page, first) => {
+        if (!first) return;
+        hideLoading('tagLoading');
+        if (page.total === 0) {
+            tagResults.innerHTML = '<p class="no-results">No files with this tag.</p>';
+        }
+    });
+    list.reload();
+}
+
+// album.html: one album's gallery (album.html?id=N) or the list of all albums
+function loadAlbumPage() {
+    const albumResults = document.getElementById('albumResults');
+    if (!albumResults) return;
+    const id = new URLSearchParams(window.location.search).get('id');
+
+    if (!id) {
+        const list = createPagedList(albumResults, (cursor) => fetchAlbums('', cursor), (page, first) => {
+            if (!first) return;
+            hideLoading('albumLoading');
+            if (page.total === 0) {
+                albumResults.innerHTML = '<p class="no-results">No albums yet. Select several images on the upload page to create one.</p>';
+            }
+        }, createAlbumCard);
+        list.reload();
+        return;
+    }
+
+    const manage = document.getElementById('albumManage');
+    const secretInput = document.getElementById('albumSecret');
+
+    async function loadAlbum() {
+        const response = await fetch(`${API_BASE}/albums/${id}`);
+        hideLoading('albumLoading');
+        if (!response.ok) {
+            albumResults.innerHTML = '<p class="no-results">Album not found.</p>';
+            return;
+        }
+        const album = await response.json();
+        document.title = `${album.title} - PixelVault`;
+        document.getElementById('albumTitle').textContent = album.title;
+        document.getElementById('albumMeta').innerHTML = `
+            ${album.description ? `<p>${escapeHtml(album.description)}</p>` : ''}
+            <p class="text-muted">${album.item_count} image${album.item_count === 1 ? '' : 's'} · by ${escapeHtml(album.uploader_name)} · ${formatDate(album.created_at)}</p>
+        `;
+        showZipLink('albumZip', `${API_BASE}/zip/albums/${album.id}`, album.items.length);
+        albumResults.innerHTML = album.items.length
+            ? album.items.map(item => createFileCard(item).replace(
+                '<div class="mini-actions">',
+                `<div class="mini-actions"><button class="mini-btn danger album-remove" title="Remove from album" onclick="event.stopPropagation(); removeFromAlbum(${item.id})">✖</button>`
+            )).join('')
+            : '<p class="no-results">This album is empty.</p>';
+        manage.style.display = 'block';
+    }
+
+    async function albumRequest(url, options, successMessage) {
+        const response = await fetch(url, options);
+        const result = await response.json();
+        if (!response.ok) {
+            showMessage(result.error || 'Request failed', 'error', 'albumMessage');
+            return;
+        }
+        showMessage(successMessage(result), 'success', 'albumMessage');
+        loadAlbum();
+    }
+
+    function requireSecret() {
+        const code = secretInput.value.trim();
+        if (!code) showMessage('Enter the album secret code first', 'error', 'albumMessage');
+        return code;
+    }
+
+    window.removeFromAlbum = (uploadId) => {
+        const secret_code = requireSecret();
+        if (!secret_code) return;
+        albumRequest(`${API_BASE}/albums/${id}/items/${uploadId}`, {
+            method: 'DELETE',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ secret_code })
+        }, () => 'Removed from album');
+    };
+
+    document.getElementById('albumAddExisting').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const secret_code = requireSecret();
+        if (!secret_code) return;
+        const ids = document.getElementById('albumUploadIds').value.split(/[\s,]+/).filter(Boolean);
+        albumRequest(`${API_BASE}/albums/${id}/items`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ secret_code, upload_ids: ids })
+        }, (result) => {
+            const skipped = result.skipped.length
+                ? ` (skipped ${result.skipped.map(item => `#${item.id}: ${item.error}`).join('; ')})`
+                : '';
+            return `Added ${result.added} upload(s)${skipped}`;
+        });
+        e.target.reset();
+    });
+
+    document.getElementById('albumAddFiles').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const secret_code = requireSecret();
+        if (!secret_code) return;
+        const formData = new FormData(e.target);
+        formData.append('secret_code', secret_code);
+        albumRequest(`${API_BASE}/albums/${id}/uploads`, { method: 'POST', body: formData }, (result) => {
+            const skipped = result.skipped.length ? ` (${result.skipped.length} skipped)` : '';
+            return `Added ${result.uploads.length} image(s)${skipped}`;
+        });
+        e.target.reset();
     });
+
+    loadAlbum();
 }
 
 // Secret Code Modal helpers
-function showSecretCodeModal(code) {
+function showDuplicateModal(duplicate, onUploadAnyway) {
+    const overlay = document.getElementById('duplicateModalOverlay');
+    if (!overlay) return;
+    const closeBtn = document.getElementById('duplicateModalClose');
+    const anywayBtn = document.getElementById('duplicateUploadAnyway');
+
+    document.getElementById('duplicateTitle').textContent = duplicate.title;
+    document.getElementById('duplicateViewExisting').href = `file.html?id=${duplicate.id}`;
+    overlay.style.display = 'flex';
+
+    function close() { overlay.style.display = 'none'; }
+
+    closeBtn.onclick = close;
+    overlay.onclick = (e) => { if (e.target === overlay) close(); };
+    anywayBtn.onclick = () => {
+        close();
+        onUploadAnyway();
+    };
+}
+
+// Near-duplicates reported by the upload response, shown inside the secret-code modal
+function showSimilarWarning(similar) {
+    const warning = document.getElementById('similarWarning');
+    if (!warning) return;
+    if (!Array.isArray(similar) || similar.length === 0) {
+        warning.style.display = 'none';
+        return;
+    }
+    warning.innerHTML = `
+        <strong>Heads up:</strong> this looks very similar to
+        ${similar.map(s => `<a href="file.html?id=${s.id}">${escapeHtml(s.title)}</a>`).join(', ')}.
+    `;
+    warning.style.display = 'block';
+}
+
+// After an album upload: link the album and list files that were skipped
+function showAlbumUploadNotes(result) {
+    const warning = document.getElementById('similarWarning');
+    if (!warning) return;
+    const skipped = result.skipped || [];
+    warning.innerHTML = `
+        <a href="album.html?id=${result.id}">Open the album</a>
+        ${skipped.length ? `<br><strong>Skipped:</strong> ${skipped.map(s => `${escapeHtml(s.name)} (${s.duplicate_of
+            ? `already uploaded as <a href="file.html?id=${s.duplicate_of.id}">${escapeHtml(s.duplicate_of.title)}</a>`
+            : escapeHtml(s.error)})`).join(', ')}` : ''}
+    `;
+    warning.style.display = 'block';
+}
+
+function showSecretCodeModal(code, text) {
     const overlay = document.getElementById('secretModalOverlay');
     const codeEl = document.getElementById('secretCodeValue');
     const closeBtn = document.getElementById('secretModalClose');
@@ -387,6 +1162,8 @@ function showSecretCodeModal(code) {
 
     if (!overlay || !codeEl) return;
     codeEl.textContent = code;
+    const textEl = document.getElementById('secretModalText');
+    if (textEl) textEl.textContent = text || 'Your file was uploaded successfully. Use this code to update or delete it later:';
     overlay.style.display = 'flex';
 
     function close() { overlay.style.display = 'none'; }
@@ -415,6 +1192,327 @@ function showSecretCodeModal(code) {
     }
 }
 // Initialize page based on current location
+// Moderation console (admin.html). The admin token is kept for the browser
+// session only and sent as X-Admin-Token.
+const ADMIN_TOKEN_KEY = 'pixelvaultAdminToken';
+
+async function adminRequest(path, { method = 'GET', body } = {}) {
+    const response = await fetch(`${API_BASE}/admin/${path}`, {
+        method,
+        headers: {
+            'X-Admin-Token': sessionStorage.getItem(ADMIN_TOKEN_KEY) || '',
+            ...(body ? { 'Content-Type': 'application/json' } : {})
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(result.error || 'Request failed');
+        error.status = response.status;
+        throw error;
+    }
+    return result;
+}
+
+// Page fetcher for createPagedList over an admin list endpoint
+function adminPageFetcher(path, getParams = () => ({})) {
+    return async (cursor) => {
+        const params = new URLSearchParams(getParams());
+        if (cursor) params.append('cursor', cursor);
+        try {
+            return await adminRequest(`${path}?${params}`);
+        } catch (error) {
+            showMessage(error.message, 'error', 'adminMessage');
+            return EMPTY_PAGE;
+        }
+    };
+}
+
+// Button that runs an admin operation through the console's click handler
+function adminButton(label, op, data, extraClass = 'btn-secondary') {
+    const attrs = Object.entries(data).map(([k, v]) => `data-${k}="${encodeURIComponent(v)}"`).join(' ');
+    return `<button type="button" class="btn ${extraClass} admin-op" data-op="${op}" ${attrs}>${label}</button>`;
+}
+
+function banButtons(name, ip) {
+    return [
+        name ? adminButton(`Ban name "${escapeHtml(name)}"`, 'ban', { kind: 'name', value: name }, 'btn-outline danger') : '',
+        ip ? adminButton(`Ban IP ${escapeHtml(ip)}`, 'ban', { kind: 'ip', value: ip }, 'btn-outline danger') : ''
+    ].join('');
+}
+
+function hiddenBadge(hidden) {
+    return hidden ? '<span class="admin-badge">hidden</span>' : '';
+}
+
+function renderAdminReport(report) {
+    let target = '<p class="text-muted">The reported item no longer exists.</p>';
+    let actions = '';
+    if (report.target_type === 'comment' && report.comment) {
+        const c = report.comment;
+        target = `
+            <p>Comment by <strong>${escapeHtml(c.name || 'Anonymous')}</strong> ${hiddenBadge(c.hidden)}
+               ${report.upload ? `on <a href="file.html?id=${report.upload.id}">${escapeHtml(report.upload.title)}</a>` : ''}</p>
+            <blockquote class="admin-quote">${escapeHtml(c.comment)}</blockquote>`;
+        actions = adminButton(c.hidden ? 'Unhide comment' : 'Hide comment', 'bulk', { kind: 'comments', action: c.hidden ? 'unhide' : 'hide', ids: c.id })
+            + adminButton('Delete comment', 'bulk', { kind: 'comments', action: 'delete', ids: c.id }, 'btn-outline danger')
+            + banButtons(c.name, c.ip);
+    } else if (report.target_type === 'upload' && report.upload) {
+        const u = report.upload;
+        target = `
+            <div class="admin-row-media">
+                ${renderPicture(u, { sizes: '96px', maxSize: 'thumb', alt: u.title })}
+                <p><a href="file.html?id=${u.id}">${escapeHtml(u.title)}</a> ${hiddenBadge(u.hidden)}<br>
+                   <span class="text-muted">by ${escapeHtml(u.uploader_name)}${u.uploader_ip ? ` · ${escapeHtml(u.uploader_ip)}` : ''}</span></p>
+            </div>`;
+        actions = adminButton(u.hidden ? 'Unhide upload' : 'Hide upload', 'bulk', { kind: 'uploads', action: u.hidden ? 'unhide' : 'hide', ids: u.id })
+            + adminButton('Delete upload', 'bulk', { kind: 'uploads', action: 'delete', ids: u.id }, 'btn-outline danger')
+            + banButtons(u.uploader_name, u.uploader_ip);
+    }
+    const statusActions = report.status === 'open'
+        ? adminButton('Dismiss', 'report', { id: report.id, status: 'dismissed' }) + adminButton('Mark resolved', 'report', { id: report.id, status: 'resolved' })
+        : adminButton('Reopen', 'report', { id: report.id, status: 'open' });
+    return `
+        <div class="admin-row">
+            <div class="admin-row-meta">
+                <strong>${escapeHtml(report.reason.replace('_', ' '))}</strong> · ${report.target_type} #${report.target_id}
+                · ${escapeHtml(report.status)} · ${formatDate(report.created_at)}
+                ${report.open_reports > 1 ? `· <span class="admin-badge">${report.open_reports} open reports</span>` : ''}
+            </div>
+            ${report.details ? `<p>${escapeHtml(report.details)}</p>` : ''}
+            ${target}
+            <div class="admin-actions">${actions}${statusActions}</div>
+        </div>`;
+}
+
+function renderAdminUpload(upload) {
+    return `
+        <div class="admin-row">
+            <label class="admin-row-media">
+                <input type="checkbox" class="admin-select" data-kind="uploads" value="${upload.id}">
+                ${renderPicture(upload, { sizes: '96px', maxSize: 'thumb', alt: upload.title })}
+                <span><a href="file.html?id=${upload.id}">${escapeHtml(upload.title)}</a> ${hiddenBadge(upload.hidden)}
+                    ${upload.deleted_at ? '<span class="admin-badge">in trash</span>' : ''}
+                    ${upload.broken_at ? `<span class="admin-badge">broken: ${escapeHtml(upload.broken_reason)}</span>` : ''}
+                    ${upload.open_reports ? `<span class="admin-badge">${upload.open_reports} open reports</span>` : ''}<br>
+                    <span class="text-muted">#${upload.id} by ${escapeHtml(upload.uploader_name)}${upload.uploader_ip ? ` · ${escapeHtml(upload.uploader_ip)}` : ''} · ${formatDate(upload.upload_date)}</span></span>
+            </label>
+            <div class="admin-actions">${banButtons(upload.uploader_name, upload.uploader_ip)}</div>
+        </div>`;
+}
+
+function renderAdminComment(comment) {
+    return `
+        <div class="admin-row">
+            <label class="admin-row-media">
+                <input type="checkbox" class="admin-select" data-kind="comments" value="${comment.id}">
+                <span><strong>${escapeHtml(comment.name || 'Anonymous')}</strong> ${hiddenBadge(comment.hidden)}
+                    on <a href="file.html?id=${comment.upload_id}">${escapeHtml(comment.upload_title || `#${comment.upload_id}`)}</a><br>
+                    <span class="text-muted">${comment.ip ? `${escapeHtml(comment.ip)} · ` : ''}${formatDate(comment.created_at)}</span></span>
+            </label>
+            <blockquote class="admin-quote">${escapeHtml(comment.comment)}</blockquote>
+            <div class="admin-actions">${banButtons(comment.name, comment.ip)}</div>
+        </div>`;
+}
+
+function renderAdminAudit(entry) {
+    const target = entry.target_type ? `${entry.target_type}${entry.target_id ? ` #${entry.target_id}` : ''}` : '';
+    return `
+        <div class="admin-row admin-audit-row${entry.success ? '' : ' failed'}">
+            <code>${escapeHtml(entry.action)}</code> ${escapeHtml(target)}
+            ${entry.details ? `<code class="text-muted">${escapeHtml(JSON.stringify(entry.details))}</code>` : ''}
+            <span class="text-muted">${entry.success ? '' : 'rejected · '}${escapeHtml(entry.ip || '')} · ${escapeHtml(entry.created_at)}</span>
+        </div>`;
+}
+
+// Storage check report (GET/POST /api/admin/fsck)
+function renderFsckReport(report) {
+    const usedBy = (users) => users
+        .map(u => `<a href="file.html?id=${u.upload_id}">#${u.upload_id}</a>${u.current ? '' : ` v${u.version}`}`)
+        .join(', ');
+    const row = (badge, key, detail) => `
+        <div class="admin-row">
+            <span class="admin-badge">${badge}</span> <code>${escapeHtml(key)}</code>
+            <span class="text-muted">${detail}</span>
+        </div>`;
+    const fixes = [
+        report.quarantined ? `${report.quarantined.moved} file(s) quarantined in <code>${escapeHtml(report.quarantined.dir)}</code>${report.quarantined.failed.length ? `, ${report.quarantined.failed.length} failed` : ''}` : '',
+        report.marked ? `${report.marked.marked} upload(s) marked broken, ${report.marked.cleared} cleared` : ''
+    ].filter(Boolean);
+    return `
+        <div class="admin-row">
+            <strong>${report.orphans.length} orphaned, ${report.missing.length} missing, ${report.mismatched.length} mismatched</strong>
+            <span class="text-muted">· ${report.referenced_files} referenced / ${report.stored_files} stored file(s)${report.verified_hashes ? ', hashes verified' : ''}${report.recent_files_skipped ? ` · ${report.recent_files_skipped} recent file(s) skipped` : ''} · ${formatDate(report.checked_at)}</span>
+            ${fixes.length ? `<br>${fixes.join(' · ')}` : ''}
+        </div>
+        ${report.missing.map(m => row(m.derivative ? 'missing derivative' : 'missing', m.key, `used by ${usedBy(m.used_by)}`)).join('')}
+        ${report.mismatched.map(m => row(`${m.problem} mismatch`, m.key, `expected ${escapeHtml(String(m.expected))}, found ${escapeHtml(String(m.actual))} · used by ${usedBy(m.used_by)}`)).join('')}
+        ${report.orphans.map(o => row('orphan', o.key, `${formatFileSize(o.size)}${o.modified ? ` · ${formatDate(o.modified)}` : ''}`)).join('')}`;
+}
+
+function loadAdminPage() {
+    const loginForm = document.getElementById('adminLogin');
+    const adminConsole = document.getElementById('adminConsole');
+    if (!loginForm || !adminConsole) return;
+
+    const emptyNote = (container, text) => (page, first) => {
+        if (first && page.total === 0) container.innerHTML = `<p class="no-results">${text}</p>`;
+    };
+
+    const reportsList = document.getElementById('reportsList');
+    const uploadsList = document.getElementById('uploadsList');
+    const commentsList = document.getElementById('commentsAdminList');
+    const auditList = document.getElementById('auditList');
+    const lists = {
+        reports: createPagedList(reportsList,
+            adminPageFetcher('reports', () => ({ status: document.getElementById('reportStatus').value })),
+            emptyNote(reportsList, 'No reports.'), renderAdminReport),
+        uploads: createPagedList(uploadsList,
+            adminPageFetcher('uploads', () => ({ hidden: document.getElementById('uploadsHidden').value })),
+            emptyNote(uploadsList, 'No uploads.'), renderAdminUpload),
+        comments: createPagedList(commentsList,
+            adminPageFetcher('comments', () => ({ hidden: document.getElementById('commentsHidden').value })),
+            emptyNote(commentsList, 'No comments.'), renderAdminComment),
+        audit: createPagedList(auditList, adminPageFetcher('audit'),
+            emptyNote(auditList, 'Nothing logged yet.'), renderAdminAudit),
+        bans: { reload: loadBans },
+        storage: { reload: () => {} } // checks only run on request
+    };
+    let currentTab = 'reports';
+
+    async function loadBans() {
+        const list = document.getElementById('bansList');
+        try {
+            const bans = await adminRequest('bans');
+            list.innerHTML = bans.length === 0 ? '<p class="no-results">No bans.</p>' : bans.map(ban => `
+                <div class="admin-row">
+                    <strong>${ban.kind === 'ip' ? 'IP' : 'Name'}:</strong> ${escapeHtml(ban.value)}
+                    ${ban.reason ? `<span class="text-muted">· ${escapeHtml(ban.reason)}</span>` : ''}
+                    <span class="text-muted">· ${formatDate(ban.created_at)}</span>
+                    <div class="admin-actions">${adminButton('Remove ban', 'unban', { id: ban.id })}</div>
+                </div>`).join('');
+        } catch (error) {
+            showMessage(error.message, 'error', 'adminMessage');
+        }
+    }
+
+    function showTab(tab) {
+        currentTab = tab;
+        document.querySelectorAll('.admin-tab').forEach(b => b.classList.toggle('active', b.dataset.tab === tab));
+        document.querySelectorAll('.admin-panel').forEach(p => { p.style.display = p.dataset.panel === tab ? 'block' : 'none'; });
+        lists[tab].reload();
+    }
+
+    async function signIn() {
+        try {
+            await adminRequest('session');
+            loginForm.style.display = 'none';
+            adminConsole.style.display = 'block';
+            showTab(currentTab);
+        } catch (error) {
+            sessionStorage.removeItem(ADMIN_TOKEN_KEY);
+            loginForm.style.display = 'block';
+            adminConsole.style.display = 'none';
+            if (error.status) showMessage(error.message, 'error', 'adminMessage');
+        }
+    }
+
+    loginForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        sessionStorage.setItem(ADMIN_TOKEN_KEY, document.getElementById('adminToken').value);
+        signIn();
+    });
+    document.getElementById('adminLogout').addEventListener('click', () => {
+        sessionStorage.removeItem(ADMIN_TOKEN_KEY);
+        window.location.reload();
+    });
+    document.querySelectorAll('.admin-tab').forEach(b => b.addEventListener('click', () => showTab(b.dataset.tab)));
+    ['reportStatus', 'uploadsHidden', 'commentsHidden'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => lists[currentTab].reload());
+    });
+
+    async function runOperation(request, confirmText) {
+        if (confirmText && !confirm(confirmText)) return;
+        try {
+            const result = await request();
+            showMessage(result.message, 'success', 'adminMessage');
+            lists[currentTab].reload();
+        } catch (error) {
+            showMessage(error.message, 'error', 'adminMessage');
+        }
+    }
+
+    function bulk(kind, action, ids) {
+        return runOperation(
+            () => adminRequest(`${kind}/${action}`, { method: 'POST', body: { ids } }),
+            action === 'delete' ? `Permanently delete ${ids.length} ${kind}?` : null
+        );
+    }
+
+    // Row buttons (report actions, bans)
+    adminConsole.addEventListener('click', (e) => {
+        const button = e.target.closest('.admin-op');
+        if (!button) return;
+        const data = Object.fromEntries(Object.entries(button.dataset).map(([k, v]) => [k, decodeURIComponent(v)]));
+        if (data.op === 'bulk') {
+            bulk(data.kind, data.action, [Number(data.ids)]);
+        } else if (data.op === 'report') {
+            runOperation(() => adminRequest(`reports/${data.id}`, { method: 'PUT', body: { status: data.status } }));
+        } else if (data.op === 'ban') {
+            runOperation(() => adminRequest('bans', { method: 'POST', body: { kind: data.kind, value: data.value } }),
+                `Ban ${data.kind === 'ip' ? 'IP' : 'name'} "${data.value}" from posting?`);
+        } else if (data.op === 'unban') {
+            runOperation(() => adminRequest(`bans/${data.id}`, { method: 'DELETE' }));
+        }
+    });
+
+    // Toolbar buttons act on the checked rows
+    document.querySelectorAll('[data-bulk]').forEach(button => {
+        button.addEventListener('click', () => {
+            const kind = button.dataset.bulk;
+            const ids = [...document.querySelectorAll(`.admin-select[data-kind="${kind}"]:checked`)].map(box => Number(box.value));
+            if (ids.length === 0) {
+                showMessage('Select at least one row first', 'error', 'adminMessage');
+                return;
+            }
+            bulk(kind, button.dataset.action, ids);
+        });
+    });
+
+    document.getElementById('banForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const body = {
+            kind: document.getElementById('banKind').value,
+            value: document.getElementById('banValue').value,
+            reason: document.getElementById('banReason').value
+        };
+        runOperation(() => adminRequest('bans', { method: 'POST', body })).then(() => e.target.reset());
+    });
+
+    document.getElementById('fsckRun').addEventListener('click', async (e) => {
+        const hashes = document.getElementById('fsckHashes').checked;
+        const quarantine = document.getElementById('fsckQuarantine').checked;
+        const markBroken = document.getElementById('fsckMarkBroken').checked;
+        if (quarantine && !confirm('Move orphaned files out of storage into the quarantine folder?')) return;
+        const results = document.getElementById('fsckResults');
+        e.target.disabled = true;
+        results.innerHTML = '<p class="no-results">Checking storage…</p>';
+        try {
+            const report = quarantine || markBroken
+                ? await adminRequest('fsck', { method: 'POST', body: { hashes, quarantine, mark_broken: markBroken } })
+                : await adminRequest(`fsck?hashes=${hashes ? 1 : 0}`);
+            results.innerHTML = renderFsckReport(report);
+        } catch (error) {
+            results.innerHTML = '';
+            showMessage(error.message, 'error', 'adminMessage');
+        } finally {
+            e.target.disabled = false;
+        }
+    });
+
+    if (sessionStorage.getItem(ADMIN_TOKEN_KEY)) signIn();
+}
+
 function initializePage() {
     const path = window.location.pathname;
     
@@ -424,6 +1522,12 @@ function initializePage() {
         loadSearchPage();
     } else if (path.includes('leaderboard.html')) {
         loadLeaderboardPage();
+    } else if (path.includes('tag.html')) {
+        loadTagPage();
+    } else if (path.includes('album.html')) {
+        loadAlbumPage();
+    } else if (path.includes('admin.html')) {
+        loadAdminPage();
     } else {
         loadHomePage();
     }
@@ -432,10 +1536,14 @@ function initializePage() {
 // Global functions for HTML onclick handlers
 window.likeFile = likeFile;
 window.openFile = (id) => { window.location.href = `file.html?id=${id}`; };
+window.openAlbum = (id) => { window.location.href = `album.html?id=${id}`; };
 
 // Initialize when DOM is loaded
 document.addEventListener('DOMContentLoaded', initializePage);
 
+// Expiry countdowns on cards and the file page
+setInterval(tickExpiryCountdowns, 1000);
+
 // Handle download clicks to track downloads
 document.addEventListener('click', (e) => {
     if (e.target.classList.contains('download-btn')) {
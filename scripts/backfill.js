@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+// Backfill derived data for uploads that were stored before a feature existed.
+//
+// Usage: node scripts/backfill.js <task> [--force]
+//   derivatives   generate thumb/medium/full renditions for rows without variants
+//   hashes        record the SHA-256 of rows without content_hash and merge
+//                 identical files into one shared blob
+//   phash         compute perceptual hashes (similar images) for rows without one
+//   sizes         record the file size of blobs stored before sizes were kept
+//                 (used by scripts/fsck.js)
+//   properties    record dimensions, file size, format and dominant colours
+//                 (search filters) for rows without them
+//
+// Run `npm run migrate up` (or start the server once) first so the schema is
+// up to date.
+const path = require('path');
+const crypto = require('crypto');
+const sqlite3 = require('sqlite3');
+const { generateDerivatives, removeDerivatives, parseVariants } = require('../lib/images');
+const { computePerceptualHash } = require('../lib/perceptualHash');
+const { createStorage, readBuffer } = require('../lib/storage');
+const { promiseDb } = require('../lib/migrations');
+const { extractImageProperties, saveImageProperties } = require('../lib/imageProperties');
+
+const ROOT = path.join(__dirname, '..');
+const db = new sqlite3.Database(path.join(ROOT, 'digital_residue.db'));
+// Same backend as the server (STORAGE_DRIVER and friends)
+const storage = createStorage();
+
+function all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+}
+
+function get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    });
+}
+
+function run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+    });
+}
+
+async function backfillDerivatives(force) {
+    const where = force ? '' : ' WHERE variants IS NULL';
+    const rows = await all(`SELECT id, filename FROM uploads${where} ORDER BY id`);
+    let done = 0;
+    for (const row of rows) {
+        try {
+            const variants = await generateDerivatives(await readBuffer(storage, row.filename), storage, row.filename);
+            await run('UPDATE uploads SET variants = ? WHERE id = ?', [JSON.stringify(variants), row.id]);
+            done++;
+            console.log(`#${row.id} ${row.filename}: ok`);
+        } catch (err) {
+            console.error(`#${row.id} ${row.filename}: ${err.message}`);
+        }
+    }
+    console.log(`Derivatives generated for ${done}/${rows.length} uploads`);
+}
+
+// Existing files keep their name; a row whose bytes match an already known
+// blob is pointed at that blob and its own copy is deleted.
+async function backfillHashes() {
+    const rows = await all('SELECT id, filename, variants FROM uploads WHERE content_hash IS NULL ORDER BY id');
+    let hashed = 0;
+    let merged = 0;
+    for (const row of rows) {
+        let buf;
+        try {
+            buf = await readBuffer(storage, row.filename);
+        } catch (err) {
+            console.error(`#${row.id} ${row.filename}: ${err.message}`);
+            continue;
+        }
+        const hash = crypto.createHash('sha256').update(buf).digest('hex');
+        const blob = await get(`
+            INSERT INTO blobs (hash, filename, ref_count, size) VALUES (?, ?, 1, ?)
+            ON CONFLICT(hash) DO UPDATE SET ref_count = ref_count + 1, size = COALESCE(size, excluded.size)
+            RETURNING filename
+        `, [hash, row.filename, buf.length]);
+
+        if (blob.filename === row.filename) {
+            await run('UPDATE uploads SET content_hash = ? WHERE id = ?', [hash, row.id]);
+            console.log(`#${row.id} ${row.filename}: ${hash}`);
+        } else {
+            const sibling = await get('SELECT variants FROM uploads WHERE content_hash = ? AND variants IS NOT NULL LIMIT 1', [hash]);
+            await run('UPDATE uploads SET content_hash = ?, filename = ?, variants = ? WHERE id = ?',
+                [hash, blob.filename, sibling ? sibling.variants : null, row.id]);
+            await storage.delete(row.filename);
+            await removeDerivatives(storage, parseVariants(row.variants));
+            merged++;
+            console.log(`#${row.id} ${row.filename}: duplicate of ${blob.filename}, merged`);
+        }
+        hashed++;
+    }
+    console.log(`Hashes recorded for ${hashed}/${rows.length} uploads (${merged} merged into existing files)`);
+}
+
+async function backfillPerceptualHashes(force) {
+    const where = force ? '' : ' WHERE phash IS NULL';
+    const rows = await all(`SELECT id, filename FROM uploads${where} ORDER BY id`);
+    let done = 0;
+    for (const row of rows) {
+        try {
+            const phash = await computePerceptualHash(await readBuffer(storage, row.filename));
+            await run('UPDATE uploads SET phash = ? WHERE id = ?', [phash, row.id]);
+            done++;
+            console.log(`#${row.id} ${row.filename}: ${phash}`);
+        } catch (err) {
+            console.error(`#${row.id} ${row.filename}: ${err.message}`);
+        }
+    }
+    console.log(`Perceptual hashes computed for ${done}/${rows.length} uploads`);
+}
+
+// Takes the size of the file as it is now; `npm run fsck -- --hashes`
+// tells whether those files are intact
+async function backfillSizes(force) {
+    const where = force ? '' : ' WHERE size IS NULL';
+    const rows = await all(`SELECT hash, filename FROM blobs${where} ORDER BY filename`);
+    let done = 0;
+    for (const row of rows) {
+        try {
+            const info = await storage.stat(row.filename);
+            if (!info) throw new Error('file not found');
+            await run('UPDATE blobs SET size = ? WHERE hash = ?', [info.size, row.hash]);
+            done++;
+            console.log(`${row.filename}: ${info.size} bytes`);
+        } catch (err) {
+            console.error(`${row.filename}: ${err.message}`);
+        }
+    }
+    console.log(`Sizes recorded for ${done}/${rows.length} blobs`);
+}
+
+async function backfillImageProperties(force) {
+    const where = force ? '' : ' WHERE width IS NULL';
+    const rows = await all(`SELECT id, filename FROM uploads${where} ORDER BY id`);
+    let done = 0;
+    for (const row of rows) {
+        try {
+            const props = await extractImageProperties(await readBuffer(storage, row.filename));
+            await saveImageProperties(promiseDb(db), row.id, props);
+            done++;
+            console.log(`#${row.id} ${row.filename}: ${props.width}x${props.height} ${props.format}, ${props.palette.map((c) => c.hex).join(' ')}`);
+        } catch (err) {
+            console.error(`#${row.id} ${row.filename}: ${err.message}`);
+        }
+    }
+    console.log(`Image properties recorded for ${done}/${rows.length} uploads`);
+}
+
+const TASKS = {
+    derivatives: backfillDerivatives,
+    hashes: backfillHashes,
+    phash: backfillPerceptualHashes,
+    sizes: backfillSizes,
+    properties: backfillImageProperties
+};
+
+async function main() {
+    const [task, ...flags] = process.argv.slice(2);
+    if (!TASKS[task]) {
+        console.error(`Usage: node scripts/backfill.js <${Object.keys(TASKS).join('|')}> [--force]`);
+        process.exitCode = 1;
+        return;
+    }
+    await TASKS[task](flags.includes('--force'));
+}
+
+main()
+    .catch((err) => {
+        console.error(err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => db.close());
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+// Back up, move and restore an instance (database + stored upload files).
+//
+// Usage: node scripts/backup.js <command> [options]
+//   export [file] [--tag name] [--uploader name] [--from date] [--to date]
+//                  write an archive (default pixelvault-<timestamp>.tar.gz);
+//                  the options limit it to matching visible uploads
+//   import <file>  restore an archive into an empty instance
+//   verify <file>  check an archive's checksums, database and file references
+//
+// Dates are YYYY-MM-DD (a --to date includes that whole day) or ISO date/times.
+// Export can run while the server is up; stop it before importing.
+const path = require('path');
+const { parseSelection, exportArchive, verifyArchive, importArchive } = require('../lib/backup');
+const { createStorage } = require('../lib/storage');
+
+const ROOT = path.join(__dirname, '..');
+const DB_PATH = path.join(ROOT, 'digital_residue.db');
+const SELECTION_OPTIONS = ['tag', 'uploader', 'from', 'to'];
+
+const log = (message) => console.log(message);
+
+// Split argv into positional arguments and --name value options
+function parseArgs(args) {
+    const positional = [];
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        const match = /^--(\w+)(?:=(.*))?$/.exec(args[i]);
+        if (!match) {
+            positional.push(args[i]);
+            continue;
+        }
+        const [, name, inline] = match;
+        if (!SELECTION_OPTIONS.includes(name)) throw new Error(`Unknown option --${name}`);
+        const value = inline !== undefined ? inline : args[++i];
+        if (value === undefined) throw new Error(`--${name} needs a value`);
+        options[name] = value;
+    }
+    return { positional, options };
+}
+
+function defaultArchiveName() {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    return `pixelvault-${stamp}.tar.gz`;
+}
+
+function printCounts(counts) {
+    console.log(`  ${counts.uploads} upload(s), ${counts.versions} older version(s), ${counts.albums} album(s), ${counts.comments} comment(s), ${counts.files} file(s)`);
+}
+
+async function exportCommand({ positional, options }) {
+    const out = path.resolve(positional[0] || defaultArchiveName());
+    const selection = parseSelection(options);
+    const manifest = await exportArchive({ dbPath: DB_PATH, storage: createStorage(), out, selection, log });
+    console.log(`Wrote ${out}`);
+    printCounts(manifest.counts);
+    if (manifest.missing_files.length) {
+        console.log(`  ${manifest.missing_files.length} referenced file(s) were missing and are not included`);
+    }
+}
+
+async function verifyCommand({ positional }) {
+    if (!positional[0]) throw new Error('verify needs an archive file');
+    const { manifest, problems, warnings } = await verifyArchive(path.resolve(positional[0]));
+    warnings.forEach((warning) => console.log(`Warning: ${warning}`));
+    if (problems.length) {
+        problems.forEach((problem) => console.error(problem));
+        console.error(`${problems.length} problem(s) found`);
+        process.exitCode = 1;
+        return;
+    }
+    console.log(`OK: created ${manifest.created_at}, schema version ${manifest.schema_version}${manifest.selection ? `, selection ${JSON.stringify(manifest.selection)}` : ''}`);
+    printCounts(manifest.counts);
+}
+
+async function importCommand({ positional }) {
+    if (!positional[0]) throw new Error('import needs an archive file');
+    const { warnings } = await importArchive({ file: path.resolve(positional[0]), dbPath: DB_PATH, storage: createStorage(), log });
+    warnings.forEach((warning) => console.log(`Warning: ${warning}`));
+    console.log('Import complete');
+}
+
+const COMMANDS = { export: exportCommand, import: importCommand, verify: verifyCommand };
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+    if (!COMMANDS[command]) {
+        console.error('Usage: node scripts/backup.js <export [file] [--tag t] [--uploader u] [--from d] [--to d]|import <file>|verify <file>>');
+        process.exitCode = 1;
+        return;
+    }
+    await COMMANDS[command](parseArgs(args));
+}
+
+main().catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+// Cross-check the database against the files in storage (see lib/fsck.js).
+//
+// Usage: node scripts/fsck.js [--hashes] [--quarantine] [--mark-broken] [--json]
+//   --hashes        also re-hash every original (reads all of them)
+//   --quarantine    move orphaned files out of storage into quarantine/
+//   --mark-broken   flag uploads whose file is missing or damaged so they drop
+//                   out of listings; clears the flag on uploads that check out
+//   --json          print the report as JSON
+//
+// Exits with code 1 when anything was found. Safe to run while the server is
+// up: files younger than an hour are never treated as orphans.
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { promiseDb } = require('../lib/migrations');
+const { createStorage } = require('../lib/storage');
+const { checkStorage, problemCount, quarantineOrphans, markBroken, ORPHAN_GRACE_MS } = require('../lib/fsck');
+
+const ROOT = path.join(__dirname, '..');
+const FLAGS = ['--hashes', '--quarantine', '--mark-broken', '--json'];
+
+function usedBy(users) {
+    return users.map((u) => `#${u.upload_id}${u.current ? '' : ` v${u.version}`}`).join(', ');
+}
+
+function printReport(report) {
+    console.log(`Checked ${report.referenced_files} referenced and ${report.stored_files} stored file(s) in ${report.storage}${report.verified_hashes ? ', hashes verified' : ''}`);
+    report.orphans.forEach((o) => console.log(`Orphan: ${o.key} (${o.size} bytes${o.modified ? `, ${o.modified}` : ''})`));
+    report.missing.forEach((m) => console.log(`Missing${m.derivative ? ' derivative' : ''}: ${m.key} (used by ${usedBy(m.used_by)})`));
+    report.mismatched.forEach((m) => console.log(`${m.problem === 'size' ? 'Size' : 'Hash'} mismatch: ${m.key}: expected ${m.expected}, found ${m.actual} (used by ${usedBy(m.used_by)})`));
+    if (report.broken_uploads.length) {
+        console.log(`Broken uploads: ${report.broken_uploads.map((u) => `#${u.id} (${u.reason})`).join(', ')}`);
+    }
+    const skipped = report.recent_files_skipped
+        ? `; ${report.recent_files_skipped} file(s) newer than ${ORPHAN_GRACE_MS / 60000} minutes skipped`
+        : '';
+    console.log(`${report.orphans.length} orphaned, ${report.missing.length} missing, ${report.mismatched.length} mismatched${skipped}`);
+}
+
+async function main() {
+    const flags = process.argv.slice(2);
+    const unknown = flags.find((flag) => !FLAGS.includes(flag));
+    if (unknown) {
+        console.error(`Usage: node scripts/fsck.js [${FLAGS.join('] [')}]`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const db = new sqlite3.Database(path.join(ROOT, 'digital_residue.db'), sqlite3.OPEN_READWRITE);
+    const q = promiseDb(db);
+    try {
+        const storage = createStorage();
+        const report = await checkStorage({ q, storage, hashes: flags.includes('--hashes') });
+        if (flags.includes('--quarantine')) report.quarantined = await quarantineOrphans({ q, storage, report });
+        if (flags.includes('--mark-broken')) report.marked = await markBroken({ q, report });
+
+        if (flags.includes('--json')) {
+            console.log(JSON.stringify(report, null, 2));
+        } else {
+            printReport(report);
+            if (report.quarantined) {
+                console.log(`Quarantined ${report.quarantined.moved} file(s) in ${path.relative(process.cwd(), report.quarantined.dir) || '.'}`);
+                report.quarantined.failed.forEach((f) => console.error(`Could not quarantine ${f.key}: ${f.error}`));
+            }
+            if (report.marked) console.log(`Marked ${report.marked.marked} upload(s) broken, cleared ${report.marked.cleared}`);
+        }
+        if (problemCount(report)) process.exitCode = 1;
+    } finally {
+        db.close();
+    }
+}
+
+main().catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
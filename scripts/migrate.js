@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+// Inspect and run the schema migrations in migrations/.
+//
+// Usage: node scripts/migrate.js <command>
+//   status        list every migration and when it was applied
+//   up [version]  apply pending migrations (only up to `version`, if given)
+//   down          roll back the most recently applied migration
+//
+// The server applies pending migrations itself on startup; this is for
+// checking, upgrading ahead of a deploy, or undoing the last change.
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { migrationStatus, migrateUp, migrateDown } = require('../lib/migrations');
+
+const ROOT = path.join(__dirname, '..');
+const db = new sqlite3.Database(path.join(ROOT, 'digital_residue.db'));
+
+async function status() {
+    const rows = await migrationStatus(db);
+    for (const row of rows) {
+        const label = `${String(row.version).padStart(3, '0')}_${row.name}`;
+        const state = row.missing ? `applied ${row.applied_at} (file missing)`
+            : row.applied_at ? `applied ${row.applied_at}` : 'pending';
+        console.log(`${label.padEnd(32)} ${state}`);
+    }
+    const pending = rows.filter((row) => !row.applied_at).length;
+    console.log(pending ? `${pending} pending` : 'Up to date');
+}
+
+async function up(version) {
+    const to = version === undefined ? Infinity : Number(version);
+    if (Number.isNaN(to)) throw new Error(`Not a version number: ${version}`);
+    const applied = await migrateUp(db, { to, log: (message) => console.log(message) });
+    if (applied.length === 0) console.log('Nothing to apply');
+}
+
+async function down() {
+    const rolledBack = await migrateDown(db, { log: (message) => console.log(message) });
+    if (!rolledBack) console.log('No migrations applied');
+}
+
+const COMMANDS = { status, up, down };
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+    if (!COMMANDS[command]) {
+        console.error('Usage: node scripts/migrate.js <status|up [version]|down>');
+        process.exitCode = 1;
+        return;
+    }
+    await COMMANDS[command](...args);
+}
+
+main()
+    .catch((err) => {
+        console.error(err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => db.close());
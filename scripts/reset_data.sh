@@ -3,11 +3,12 @@ set -euo pipefail
 
 cd "$(dirname "$0")/.."
 
-echo "This will delete digital_residue.db and all files in uploads/."
+echo "This will delete digital_residue.db, all files in uploads/ (including derivatives/) and the image cache."
 
 rm -f digital_residue.db || true
 mkdir -p uploads
-find uploads -mindepth 1 -maxdepth 1 -type f -print -delete
+find uploads -mindepth 1 -type f -print -delete
+rm -rf cache/images
 
-echo "Reset complete. Restart the server to recreate schema."
+echo "Reset complete. Restart the server (or run npm run migrate up) to recreate the schema."
 
@@ -1,30 +1,76 @@
 const express = require('express');
 const multer = require('multer');
+const archiver = require('archiver');
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 const fs = require('fs');
+const crypto = require('crypto');
+const os = require('os');
+const { promisify } = require('util');
+const { generateDerivatives, removeDerivatives, parseVariants } = require('./lib/images');
+const { createStorage, isValidKey, lazyStream, readBuffer } = require('./lib/storage');
+const { parsePageParams, fetchPage } = require('./lib/pagination');
+const { parseSearchQuery, toMatchExpression } = require('./lib/searchQuery');
+const { normalizeTag, parseTags, formatTags } = require('./lib/tags');
+const { loadCookieSecret, visitorIdentity } = require('./lib/visitor');
+const { detectImageType, normalizeMime, allowedTypesLabel, mimeForExtension } = require('./lib/imageType');
+const { stripMetadata } = require('./lib/metadata');
+const { computePerceptualHash, hammingDistance, isFlatHash } = require('./lib/perceptualHash');
+const { entryName, uniqueEntryName, toCsv, slugify } = require('./lib/archive');
+const { TRENDING_WEIGHTS, parseLeaderboardParams } = require('./lib/leaderboard');
+const { bucketSql, parseStatsParams, buildSeries } = require('./lib/stats');
+const { generateSecretCode, hashSecretCode, verifySecretCode, safeEqual } = require('./lib/secretCodes');
+const { createAttemptLimiter, createPostQuota } = require('./lib/rateLimit');
+const { REPORT_TARGETS, REPORT_REASONS, REPORT_STATUSES, BAN_KINDS, normalizeBanValue, parseIdList } = require('./lib/moderation');
+const { MAX_DEPTH, validateComment, spamReason, buildThread } = require('./lib/comments');
+const { migrateUp, promiseDb } = require('./lib/migrations');
+const { checkStorage, problemCount, quarantineOrphans, markBroken } = require('./lib/fsck');
+const { parseExpiry, parseDownloadLimit } = require('./lib/expiry');
+const { FEED_FORMATS } = require('./lib/feeds');
+const { OUTPUT_FORMATS, parseTransformParams, transformKey, renderTransform } = require('./lib/transform');
+const { createImageCache } = require('./lib/imageCache');
+const { IMAGE_FILTER_PARAMS, extractImageProperties, saveImageProperties, parsePalette, parseImageFilters, imageFilterConditions } = require('./lib/imageProperties');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const ADMIN_SECRET = '../../';
+// Admin credential, sent as the X-Admin-Token header. Admin access is off when unset.
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+// Upload files live in the configured storage backend (STORAGE_DRIVER, see lib/storage.js)
+const storage = createStorage();
+// Renditions made by /api/image/:id are cached on local disk (IMAGE_CACHE_DIR,
+// at most IMAGE_CACHE_MAX_MB, default 512; 0 turns the cache off)
+const imageCache = createImageCache({
+    dir: process.env.IMAGE_CACHE_DIR || path.join(__dirname, 'cache', 'images'),
+    maxBytes: parseCacheSize(process.env.IMAGE_CACHE_MAX_MB) * 1024 * 1024
+});
+
+function parseCacheSize(value) {
+    const megabytes = value === undefined || value === '' ? 512 : Number(value);
+    if (!Number.isFinite(megabytes) || megabytes < 0) throw new Error('IMAGE_CACHE_MAX_MB must be a number of megabytes (0 or more)');
+    return megabytes;
+}
+
+// Columns returned by every upload listing endpoint
+const UPLOAD_COLUMNS = 'id, title, description, tags, filename, original_name, uploader_name, like_count, download_count, upload_date, variants, version, expires_at, downloads_remaining, width, height, file_size, format, orientation, palette';
+// Extra column telling the current visitor whether they liked the upload (binds req.visitorId)
+const LIKED_BY_ME_COLUMN = 'EXISTS(SELECT 1 FROM likes WHERE likes.upload_id = uploads.id AND likes.visitor_id = ?) AS liked_by_me';
 
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser(loadCookieSecret(path.join(__dirname, '.cookie_secret'))));
+app.use('/api', visitorIdentity);
 app.use(express.static('public'));
-app.use('/uploads', express.static('uploads'));
+app.get('/uploads/*', sendStoredFile);
 
-// Create uploads directory if it doesn't exist
-if (!fs.existsSync('uploads')) {
-    fs.mkdirSync('uploads');
-}
-
-// Configure multer for file uploads
-const storage = multer.diskStorage({
+// Configure multer for file uploads. Files land in the OS temp folder and only
+// reach the storage backend once their content has been validated and cleaned.
+const tempStorage = multer.diskStorage({
     destination: (req, file, cb) => {
-        cb(null, 'uploads/');
+        cb(null, os.tmpdir());
     },
     filename: (req, file, cb) => {
         // Generate unique filename with timestamp
@@ -34,122 +80,552 @@ const storage = multer.diskStorage({
 });
 
 const upload = multer({ 
-    storage: storage,
+    storage: tempStorage,
     limits: {
         fileSize: 10 * 1024 * 1024 // 10MB limit
     }
 });
 
-// Initialize SQLite database
+// Open the SQLite database. The schema is brought up to date by the numbered
+// migrations in migrations/ before the server starts listening (see the end
+// of this file); they also leave foreign keys enforced on this connection.
 const db = new sqlite3.Database('digital_residue.db', (err) => {
     if (err) {
         console.error('Error opening database:', err.message);
     } else {
         console.log('Connected to SQLite database');
-        initializeDatabase();
-    }
-});
-
-// Create tables if they don't exist
-function initializeDatabase() {
-    const createTableQuery = `
-        CREATE TABLE IF NOT EXISTS uploads (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            title TEXT NOT NULL,
-            description TEXT,
-            tags TEXT,
-            filename TEXT NOT NULL,
-            original_name TEXT NOT NULL,
-            uploader_name TEXT NOT NULL,
-            like_count INTEGER DEFAULT 0,
-            download_count INTEGER DEFAULT 0,
-            upload_date DATETIME DEFAULT CURRENT_TIMESTAMP,
-            expires_at DATETIME
-        )
-    `;
-    
-    db.run(createTableQuery, (err) => {
+    }
+});
+
+// Replace the tag links of an upload with `names` (already normalized)
+function saveUploadTags(uploadId, names, cb) {
+    const json = JSON.stringify(names);
+    db.run('INSERT OR IGNORE INTO tags (name) SELECT value FROM json_each(?)', [json], (insertErr) => {
+        if (insertErr) return cb(insertErr);
+        db.run('DELETE FROM upload_tags WHERE upload_id = ?', [uploadId], (deleteErr) => {
+            if (deleteErr) return cb(deleteErr);
+            const linkSql = `INSERT OR IGNORE INTO upload_tags (upload_id, tag_id)
+                             SELECT ?, id FROM tags WHERE name IN (SELECT value FROM json_each(?))`;
+            db.run(linkSql, [uploadId, json], cb);
+        });
+    });
+}
+
+// SQL condition matching uploads that carry the given (normalized) tag
+const HAS_TAG_SQL = `id IN (SELECT ut.upload_id FROM upload_tags ut
+                            JOIN tags t ON t.id = ut.tag_id WHERE t.name = ?)`;
+
+// Append-only engagement log (events table): one row per upload, like, unlike,
+// download and comment. It feeds /api/stats and the windowed leaderboards and
+// keeps rows of deleted uploads; uploads.like_count / download_count stay the
+// lifetime counters.
+function recordEvent(type, uploadId) {
+    db.run('INSERT INTO events (type, upload_id) VALUES (?, ?)', [type, uploadId], (err) => {
+        if (err) console.error(`Error recording ${type} event:`, err.message);
+    });
+}
+
+// Use up one download of each of the given (visible) upload ids, before
+// anything is sent. One statement checks the limit, counts the download and
+// trashes uploads whose last download this is, so concurrent requests can
+// never get past the limit. Resolves to the ids that may be served; the rest
+// are used up or no longer visible.
+async function takeDownloads(ids) {
+    const granted = await dbAll(
+        `UPDATE uploads SET download_count = download_count + 1,
+                downloads_remaining = downloads_remaining - 1,
+                deleted_at = CASE WHEN downloads_remaining = 1 THEN CURRENT_TIMESTAMP ELSE deleted_at END
+         WHERE id IN (SELECT value FROM json_each(?)) AND ${VISIBLE_UPLOAD_SQL}
+           AND (downloads_remaining IS NULL OR downloads_remaining > 0)
+         RETURNING id, downloads_remaining`,
+        [JSON.stringify(ids)]
+    );
+    const burned = granted.filter((row) => row.downloads_remaining === 0);
+    burned.forEach((row) => dropCachedRenditions(row.id));
+    if (burned.length) console.log(`Moved ${burned.length} upload(s) that reached their download limit to the trash`);
+    const grantedIds = granted.map((row) => row.id);
+    db.run("INSERT INTO events (type, upload_id) SELECT 'download', value FROM json_each(?)", [JSON.stringify(grantedIds)], (err) => {
+        if (err) console.error('Error recording download events:', err.message);
+    });
+    return grantedIds;
+}
+
+// Delete an upload's file and derivatives from storage (best effort)
+function removeStoredFile(filename, variants) {
+    storage.delete(filename).catch((deleteErr) => {
+        console.error('Error deleting file:', deleteErr.message);
+    });
+    removeDerivatives(storage, variants);
+}
+
+// Open a stored file for streaming; 404 when it is missing
+async function openStoredFile(key) {
+    try {
+        return await storage.getStream(key);
+    } catch (err) {
+        if (err.code === 'ENOENT') throw httpError(404, 'File not found');
+        throw err;
+    }
+}
+
+function pipeStoredFile(stream, res) {
+    stream.on('error', (err) => {
+        console.error('Error reading stored file:', err.message);
+        res.destroy(err);
+    });
+    stream.pipe(res);
+}
+
+// GET /uploads/<key>: originals and derivatives, streamed from storage. Stored
+// names are derived from the content, so a file never changes once written.
+async function sendStoredFile(req, res) {
+    const key = req.params[0];
+    if (!isValidKey(key)) return res.status(404).json({ error: 'File not found' });
+    try {
+        const info = await storage.stat(key);
+        if (!info) throw httpError(404, 'File not found');
+        res.set({
+            'Content-Type': mimeForExtension(path.extname(key)),
+            'Content-Length': String(info.size),
+            'Cache-Control': 'public, max-age=86400',
+            ETag: `W/"${info.size.toString(16)}-${info.modified ? info.modified.getTime().toString(16) : '0'}"`
+        });
+        if (info.modified) res.set('Last-Modified', info.modified.toUTCString());
+        if (req.fresh) return res.status(304).end();
+        if (req.method === 'HEAD') return res.end();
+        pipeStoredFile(await openStoredFile(key), res);
+    } catch (err) {
+        sendError(res, err);
+    }
+}
+
+// Stored files are shared by uploads with the same content (blobs table, keyed
+// by SHA-256). Drop one reference to a blob, removing the file once nothing
+// uses it. Rows without a content_hash (not yet backfilled) own their file outright.
+function releaseBlob(hash, filename, variants) {
+    if (!hash) {
+        removeStoredFile(filename, variants);
+        return;
+    }
+    db.get('UPDATE blobs SET ref_count = ref_count - 1 WHERE hash = ? RETURNING ref_count', [hash], (err, row) => {
         if (err) {
-            console.error('Error creating table:', err.message);
-        } else {
-            console.log('Database table initialized');
-            // Ensure columns exist (lightweight migration)
-            db.all('PRAGMA table_info(uploads)', [], (pragmaErr, columns) => {
-                if (pragmaErr) {
-                    console.error('Error reading table info:', pragmaErr.message);
-                    return;
-                }
-                const hasSecret = Array.isArray(columns) && columns.some((c) => c.name === 'secret_code');
-                const hasExpiresAt = Array.isArray(columns) && columns.some((c) => c.name === 'expires_at');
-                if (!hasSecret) {
-                    db.run('ALTER TABLE uploads ADD COLUMN secret_code TEXT', (alterErr) => {
-                        if (alterErr) {
-                            console.error('Error adding secret_code column:', alterErr.message);
-                        } else {
-                            console.log('secret_code column added to uploads table');
-                        }
-                    });
-                }
-                if (!hasExpiresAt) {
-                    db.run('ALTER TABLE uploads ADD COLUMN expires_at DATETIME', (alterErr) => {
-                        if (alterErr) {
-                            console.error('Error adding expires_at column:', alterErr.message);
-                        } else {
-                            console.log('expires_at column added to uploads table');
-                        }
-                    });
-                }
-                // logo removed – no longer supported
-            });
+            console.error('Error releasing blob:', err.message);
+            return;
         }
+        if (row && row.ref_count > 0) return;
+        db.run('DELETE FROM blobs WHERE hash = ? AND ref_count <= 0', [hash], (delErr) => {
+            if (delErr) console.error('Error deleting blob row:', delErr.message);
+        });
+        removeStoredFile(filename, variants);
     });
 }
 
-// Routes
+// Map stored derivative paths (relative to uploads/) to public URLs
+function variantUrls(variants) {
+    if (!variants) return null;
+    const urls = {};
+    Object.entries(variants).forEach(([size, v]) => {
+        urls[size] = {
+            width: v.width,
+            height: v.height,
+            webp: `/uploads/${v.webp}`,
+            jpeg: `/uploads/${v.jpeg}`
+        };
+    });
+    return urls;
+}
 
-// Get all uploads
-app.get('/api/uploads', (req, res) => {
-    const query = `SELECT id, title, description, tags, filename, original_name, uploader_name, like_count, download_count, upload_date
-                   FROM uploads ORDER BY upload_date DESC`;
-    db.all(query, [], (err, rows) => {
+// Shape an uploads row for API responses
+function serializeUpload(row) {
+    const result = { ...row, variants: variantUrls(parseVariants(row.variants)) };
+    if ('palette' in row) result.palette = parsePalette(row.palette);
+    if ('liked_by_me' in row) result.liked_by_me = Boolean(row.liked_by_me);
+    return result;
+}
+
+// Uploads hidden by a moderator, in the trash or marked broken by fsck are
+// left out of every public list, search and lookup
+function visibleUploadSql(table = 'uploads') {
+    return `${table}.hidden = 0 AND ${table}.deleted_at IS NULL AND ${table}.broken_at IS NULL`;
+}
+const VISIBLE_UPLOAD_SQL = visibleUploadSql();
+
+function visibleOnly(query) {
+    return { ...query, where: [VISIBLE_UPLOAD_SQL, ...query.where] };
+}
+
+// List orderings (the trailing id keeps pagination stable for equal values)
+const RECENT_ORDER = [
+    { expr: 'upload_date', key: 'upload_date', dir: 'DESC' },
+    { expr: 'id', key: 'id', dir: 'DESC' }
+];
+
+// Relevance ordering for full-text search (bm25: lower is better)
+const RELEVANCE_ORDER = [
+    { expr: 'm.score', key: 'score', dir: 'ASC' },
+    { expr: 'id', key: 'id', dir: 'DESC' }
+];
+
+// Respond with one page of uploads: { items, next_cursor, total }.
+// `from`/`select`/`mapRow` let callers join extra data (e.g. search matches).
+function sendUploadPage(req, res, { from = 'uploads', select = UPLOAD_COLUMNS, where = [], params = [], order, mapRow = serializeUpload }) {
+    const page = parsePageParams(req.query, order);
+    if (page.error) {
+        return res.status(400).json({ error: page.error });
+    }
+    fetchPage(db, {
+        select: `${select}, ${LIKED_BY_ME_COLUMN}`,
+        selectParams: [req.visitorId],
+        from,
+        where: [VISIBLE_UPLOAD_SQL, ...where],
+        params,
+        order,
+        limit: page.limit,
+        after: page.after
+    }, (err, result) => {
         if (err) {
             res.status(500).json({ error: err.message });
             return;
         }
-        res.json(rows);
+        res.json({ ...result, items: result.items.map(mapRow) });
+    });
+}
+
+// Similar images: perceptual hashes within `maxDistance` bits (of 64), closest
+// first. Hashes are compared in JS; the table is small enough to scan.
+// Flat hashes (solid or plain gradient images) match nothing: a solid blue
+// image would otherwise be "similar" to every other solid colour.
+const SIMILAR_MAX_DISTANCE = 12;
+// Distance under which an upload warns about a probable near-duplicate
+const NEAR_DUPLICATE_DISTANCE = 6;
+
+function findSimilarUploads(phash, { excludeId = null, maxDistance = SIMILAR_MAX_DISTANCE, limit = 8, visitorId = null }, cb) {
+    if (isFlatHash(phash)) return process.nextTick(cb, null, []);
+    const sql = `SELECT ${UPLOAD_COLUMNS}, phash, ${LIKED_BY_ME_COLUMN}
+                 FROM uploads WHERE phash IS NOT NULL AND ${VISIBLE_UPLOAD_SQL} AND id IS NOT ?`;
+    db.all(sql, [visitorId, excludeId], (err, rows) => {
+        if (err) return cb(err);
+        const matches = rows
+            .filter((row) => !isFlatHash(row.phash))
+            .map((row) => ({ row, distance: hammingDistance(phash, row.phash) }))
+            .filter((m) => m.distance <= maxDistance)
+            .sort((a, b) => a.distance - b.distance || b.row.id - a.row.id)
+            .slice(0, limit)
+            .map(({ row, distance }) => {
+                const { phash: _phash, ...upload } = row;
+                return { ...serializeUpload(upload), distance };
+            });
+        cb(null, matches);
     });
+}
+
+// Routes
+
+// Get all uploads
+app.get('/api/uploads', (req, res) => {
+    sendUploadPage(req, res, { order: RECENT_ORDER });
 });
 
 // Upload a file
-function generateSecretCode() {
-    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no confusing chars
-    let code = '';
-    for (let i = 0; i < 6; i++) {
-        code += alphabet.charAt(Math.floor(Math.random() * alphabet.length));
-    }
-    return code;
-}
-
-function computeExpiryFromSelection(selection) {
-    // selection values: '1d', '1w', '2w', '1m', or '' for no auto-delete
-    const now = new Date();
-    const expiry = new Date(now);
-    switch (selection) {
-        case '1d':
-            expiry.setDate(expiry.getDate() + 1);
-            return expiry.toISOString();
-        case '1w':
-            expiry.setDate(expiry.getDate() + 7);
-            return expiry.toISOString();
-        case '2w':
-            expiry.setDate(expiry.getDate() + 14);
-            return expiry.toISOString();
-        case '1m':
-            expiry.setMonth(expiry.getMonth() + 1);
-            return expiry.toISOString();
-        default:
-            return null;
+// Expiry fields of an upload request (see lib/expiry.js): { expiresAt,
+// downloadsRemaining }. Throws a 400 httpError for invalid values.
+function parseExpiryFields(body) {
+    const expiry = parseExpiry(body);
+    if (expiry.error) throw httpError(400, expiry.error);
+    const limit = parseDownloadLimit(body.max_downloads);
+    if (limit.error) throw httpError(400, limit.error);
+    return { expiresAt: expiry.value, downloadsRemaining: limit.value };
+}
+
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+// Promise wrappers for the async upload pipeline
+function dbGet(sql, params) {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    });
+}
+
+function dbAll(sql, params) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+}
+
+// Resolves to the statement ({ lastID, changes })
+function dbRun(sql, params) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) reject(err);
+            else resolve(this);
+        });
+    });
+}
+
+const saveUploadTagsAsync = promisify(saveUploadTags);
+const fetchPageAsync = promisify(fetchPage);
+const findSimilarUploadsAsync = promisify(findSimilarUploads);
+
+function sha256(buf) {
+    return crypto.createHash('sha256').update(buf).digest('hex');
+}
+
+// Failed secret-code / admin-token attempts: a target locks after 5 misses in
+// 15 minutes, a client IP after 20 (for an hour), whichever comes first
+const targetAttempts = createAttemptLimiter({ maxFailures: 5, windowMs: 15 * 60 * 1000, lockoutMs: 15 * 60 * 1000 });
+const ipAttempts = createAttemptLimiter({ maxFailures: 20, windowMs: 15 * 60 * 1000, lockoutMs: 60 * 60 * 1000 });
+setInterval(() => {
+    targetAttempts.prune();
+    ipAttempts.prune();
+    commentQuota.prune();
+    reportAttempts.prune();
+}, 10 * 60 * 1000).unref();
+
+function tooManyAttempts(waitMs, message = 'Too many failed attempts, try again later') {
+    const err = httpError(429, message);
+    err.retryAfter = Math.ceil(waitMs / 1000);
+    err.body = { retry_after: err.retryAfter };
+    return err;
+}
+
+// `details` (optional) is stored as JSON, e.g. the ids of a bulk action
+function auditAdmin(req, target, success, details = null) {
+    db.run(
+        'INSERT INTO admin_audit (action, target_type, target_id, ip, success, details) VALUES (?, ?, ?, ?, ?, ?)',
+        [`${req.method} ${req.originalUrl.split('?')[0]}`, target.type, target.id, req.ip, success ? 1 : 0, details ? JSON.stringify(details) : null],
+        (err) => {
+            if (err) console.error('Error writing admin audit log:', err.message);
+        }
+    );
+}
+
+// Check that the request may manage `target` ({ type: 'upload' | 'album' |
+// 'comment', id, secretHash, field? }): either the owner's code from the body
+// (`field`, default secret_code) or the admin token header. Resolves to
+// { admin } or rejects with a 400/403/429 httpError.
+async function authorizeOwner(req, target) {
+    const ip = req.ip;
+    const ipWait = ipAttempts.retryAfter(ip);
+    const adminToken = req.get('X-Admin-Token');
+
+    if (adminToken !== undefined) {
+        if (ipWait) throw tooManyAttempts(ipWait);
+        const ok = ADMIN_TOKEN !== '' && safeEqual(adminToken, ADMIN_TOKEN);
+        auditAdmin(req, target, ok);
+        if (!ok) {
+            ipAttempts.fail(ip);
+            throw httpError(403, 'Invalid admin token');
+        }
+        return { admin: true };
+    }
+
+    const field = target.field || 'secret_code';
+    const code = (req.body || {})[field];
+    if (!code) throw httpError(400, `${field} is required`);
+    const key = `${target.type}:${target.id}`;
+    const wait = Math.max(ipWait, targetAttempts.retryAfter(key));
+    if (wait) throw tooManyAttempts(wait);
+
+    if (await verifySecretCode(code, target.secretHash)) {
+        targetAttempts.reset(key);
+        return { admin: false };
+    }
+    if (targetAttempts.fail(key)) console.warn(`Locked ${key} after repeated invalid secret codes`);
+    if (ipAttempts.fail(ip)) console.warn(`Locked ${ip} after repeated invalid secret codes`);
+    throw httpError(403, field === 'secret_code' ? 'Invalid secret code' : `Invalid ${field}`);
+}
+
+// Rejects with 403 when the poster's name or IP is banned (see /api/admin/bans)
+async function assertNotBanned(req, name) {
+    const ban = await dbGet(
+        "SELECT id FROM bans WHERE (kind = 'ip' AND value = ?) OR (kind = 'name' AND value = ?) LIMIT 1",
+        [req.ip, normalizeBanValue('name', name)]
+    );
+    if (ban) throw httpError(403, 'You are not allowed to post here');
+}
+
+function sendError(res, err) {
+    if (!err.status) console.error(err.message);
+    if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
+    res.status(err.status || 500).json({ error: err.message, ...err.body });
+}
+
+// Checkbox values sent by forms/clients
+function isChecked(value) {
+    return value === true || value === 'on' || value === 'true' || value === '1';
+}
+
+// Validate an uploaded file by its magic bytes and strip its metadata.
+// Resolves to { buffer, type, hash } where `hash` is the SHA-256 of the cleaned
+// bytes, i.e. of exactly what will be stored. The multer temp file is always removed.
+async function prepareUploadedImage(file, keepCamera) {
+    try {
+        const buf = await fs.promises.readFile(file.path);
+        const type = detectImageType(buf);
+        if (!type) {
+            throw httpError(415, `Unsupported file type. Allowed formats: ${allowedTypesLabel()}`);
+        }
+        if (normalizeMime(file.mimetype) !== type.mime) {
+            throw httpError(400, `File content is ${type.label} but it was sent as ${file.mimetype || 'an unknown type'}`);
+        }
+
+        let cleaned;
+        try {
+            cleaned = await stripMetadata(buf, type.format, { keepCamera });
+        } catch (stripErr) {
+            throw httpError(400, `Could not read image: ${stripErr.message}`);
+        }
+        return { buffer: cleaned, type, hash: sha256(cleaned) };
+    } finally {
+        fs.unlink(file.path, (unlinkErr) => {
+            if (unlinkErr && unlinkErr.code !== 'ENOENT') console.error('Error removing temp upload:', unlinkErr.message);
+        });
+    }
+}
+
+// Take a reference on the blob for `image` and make sure its file and
+// derivatives exist in storage. Resolves to { filename, variants }; the caller
+// must releaseBlob() if it ends up not using the reference.
+async function storeImageBlob(image) {
+    const blob = await dbGet(`
+        INSERT INTO blobs (hash, filename, ref_count, size) VALUES (?, ?, 1, ?)
+        ON CONFLICT(hash) DO UPDATE SET ref_count = ref_count + 1, size = COALESCE(size, excluded.size)
+        RETURNING filename
+    `, [image.hash, image.hash + image.type.ext, image.buffer.length]);
+
+    try {
+        // Identical bytes are only written once (and rewritten if fsck found the file gone)
+        if (!(await storage.exists(blob.filename))) {
+            await storage.put(blob.filename, image.buffer, { contentType: image.type.mime });
+        }
+
+        // Uploads sharing a blob share its derivatives too
+        const sibling = await dbGet('SELECT variants FROM uploads WHERE content_hash = ? AND variants IS NOT NULL LIMIT 1', [image.hash]);
+        if (sibling) {
+            return { filename: blob.filename, variants: parseVariants(sibling.variants) };
+        }
+    } catch (err) {
+        releaseBlob(image.hash, blob.filename, null);
+        throw err;
+    }
+
+    // Generate thumbnail/medium/full renditions before storing the row.
+    // A failure here should not lose the upload; cards fall back to the original.
+    const variants = await generateDerivatives(image.buffer, storage, blob.filename).catch((deriveErr) => {
+        console.error('Error generating derivatives:', deriveErr.message);
+        return null;
+    });
+    return { filename: blob.filename, variants };
+}
+
+// Dimensions, size, format and palette (lib/imageProperties.js). Like the
+// perceptual hash they are not worth refusing an upload over; null if unreadable.
+function readImageProperties(image) {
+    return extractImageProperties(image.buffer).catch((propsErr) => {
+        console.error('Error reading image properties:', propsErr.message);
+        return null;
+    });
+}
+
+function recordImageProperties(uploadId, props) {
+    return saveImageProperties(promiseDb(db), uploadId, props).catch((propsErr) => {
+        console.error('Error saving image properties:', propsErr.message);
+    });
+}
+
+// The properties as upload responses show them
+function imagePropertyFields(props) {
+    if (!props) return { width: null, height: null, file_size: null, format: null, orientation: null, palette: [] };
+    const { palette, ...fields } = props;
+    return { ...fields, palette: palette.map((c) => c.hex) };
+}
+
+// Store one validated image as an uploads row. Shared by single uploads and
+// album uploads. `fields`: { title, description, tagNames, uploaderName,
+// uploaderIp, secretHash, expiresAt, downloadsRemaining, keepCamera, allowDuplicate }.
+// Resolves to the upload summary returned to the client; rejects with an
+// httpError (409 carries `body.duplicate_of`) for files that are refused.
+async function createUpload(file, fields) {
+    const image = await prepareUploadedImage(file, fields.keepCamera);
+    if (!fields.allowDuplicate) {
+        const duplicate = await dbGet(`SELECT id, title FROM uploads WHERE content_hash = ? AND ${VISIBLE_UPLOAD_SQL} ORDER BY id LIMIT 1`, [image.hash]);
+        if (duplicate) {
+            const err = httpError(409, 'This image has already been uploaded');
+            err.body = { duplicate_of: { id: duplicate.id, title: duplicate.title, url: `/file.html?id=${duplicate.id}` } };
+            throw err;
+        }
+    }
+
+    const { filename, variants } = await storeImageBlob(image);
+    const phash = await computePerceptualHash(image.buffer).catch((hashErr) => {
+        console.error('Error computing perceptual hash:', hashErr.message);
+        return null;
+    });
+    const props = await readImageProperties(image);
+
+    const query = `
+        INSERT INTO uploads (title, description, tags, filename, original_name, uploader_name, uploader_ip, secret_hash,
+                             expires_at, downloads_remaining, variants, content_hash, phash)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    const values = [
+        fields.title,
+        fields.description || '',
+        formatTags(fields.tagNames),
+        filename,
+        file.originalname,
+        fields.uploaderName,
+        fields.uploaderIp,
+        fields.secretHash,
+        fields.expiresAt,
+        fields.downloadsRemaining,
+        variants ? JSON.stringify(variants) : null,
+        image.hash,
+        phash
+    ];
+
+    let uploadId;
+    try {
+        uploadId = (await dbRun(query, values)).lastID;
+    } catch (err) {
+        releaseBlob(image.hash, filename, variants);
+        throw err;
     }
+
+    recordEvent('upload', uploadId);
+    await recordImageProperties(uploadId, props);
+    await saveUploadTagsAsync(uploadId, fields.tagNames).catch((tagErr) => {
+        console.error('Error saving tags:', tagErr.message);
+    });
+    // Not an error: near-duplicates are reported so the page can warn
+    const similar = phash
+        ? await findSimilarUploadsAsync(phash, { excludeId: uploadId, maxDistance: NEAR_DUPLICATE_DISTANCE, limit: 3 }).catch((similarErr) => {
+            console.error('Error finding similar uploads:', similarErr.message);
+            return [];
+        })
+        : [];
+
+    return {
+        id: uploadId,
+        title: fields.title,
+        filename,
+        content_hash: image.hash,
+        expires_at: fields.expiresAt,
+        downloads_remaining: fields.downloadsRemaining,
+        tags: fields.tagNames,
+        ...imagePropertyFields(props),
+        variants: variantUrls(variants),
+        similar: similar.map((u) => ({
+            id: u.id,
+            title: u.title,
+            distance: u.distance,
+            url: `/file.html?id=${u.id}`
+        }))
+    };
 }
 
 app.post('/api/upload', upload.single('file'), (req, res) => {
@@ -157,234 +633,772 @@ app.post('/api/upload', upload.single('file'), (req, res) => {
     if (!mainFile) {
         return res.status(400).json({ error: 'No file uploaded' });
     }
-    if (!mainFile.mimetype || !mainFile.mimetype.startsWith('image/')) {
-        return res.status(400).json({ error: 'Only image uploads are allowed' });
-    }
 
     const { title, description, tags, uploader_name } = req.body;
-    const auto_delete = req.body.auto_delete || '';
     
     if (!title || !uploader_name) {
+        fs.unlink(mainFile.path, () => {});
         return res.status(400).json({ error: 'Title and uploader name are required' });
     }
+    let expiry;
+    try {
+        expiry = parseExpiryFields(req.body);
+    } catch (err) {
+        fs.unlink(mainFile.path, () => {});
+        return sendError(res, err);
+    }
 
     const secretCode = generateSecretCode();
-    const expiresAt = computeExpiryFromSelection(auto_delete);
-
-    const query = `
-        INSERT INTO uploads (title, description, tags, filename, original_name, uploader_name, secret_code, expires_at)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-    `;
-    
-    const values = [
-        title,
-        description || '',
-        tags || '',
-        mainFile.filename,
-        mainFile.originalname,
-        uploader_name,
-        secretCode,
-        expiresAt
-    ];
 
-    db.run(query, values, function(err) {
-        if (err) {
-            res.status(500).json({ error: err.message });
-            return;
-        }
-        res.json({
-            message: 'File uploaded successfully',
-            id: this.lastID,
-            filename: mainFile.filename,
-            secret_code: secretCode,
-            expires_at: expiresAt
+    assertNotBanned(req, uploader_name)
+        .catch((err) => {
+            discardTempFiles([mainFile]);
+            throw err;
+        })
+        .then(() => hashSecretCode(secretCode))
+        .then((secretHash) => createUpload(mainFile, {
+            title,
+            description,
+            tagNames: parseTags(tags),
+            uploaderName: uploader_name,
+            uploaderIp: req.ip,
+            secretHash,
+            ...expiry,
+            keepCamera: isChecked(req.body.keep_camera_metadata),
+            allowDuplicate: isChecked(req.body.allow_duplicate)
+        }))
+        .then((created) => {
+            const { title: _title, ...summary } = created;
+            res.json({ message: 'File uploaded successfully', ...summary, secret_code: secretCode });
+        })
+        .catch((err) => {
+            if (!err.status) console.error('Error processing upload:', err.message);
+            res.status(err.status || 500).json({ error: err.message, ...err.body });
         });
-    });
 });
 
-// Search uploads
-app.get('/api/search', (req, res) => {
-    const { q, tag } = req.query;
-    let query = 'SELECT id, title, description, tags, filename, original_name, uploader_name, like_count, download_count, upload_date FROM uploads WHERE 1=1';
+// Search uploads (ranked full-text search, see lib/searchQuery.js for the syntax)
+// Highlight markers are control characters so clients can escape the text first.
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_END = '\u0003';
+
+// The list query for a search, shared by /api/search, its feed and the ZIP
+// download: { from, select, where, params, order, queryMatch }. `filters` come
+// from parseImageFilters (lib/imageProperties.js).
+function buildSearchQuery(q, tag, filters = {}) {
+    const { include, exclude } = parseSearchQuery(q);
+    const where = [];
     const params = [];
 
-    if (q) {
-        query += ' AND (title LIKE ? OR description LIKE ?)';
-        params.push(`%${q}%`, `%${q}%`);
+    const queryMatch = toMatchExpression(include);
+    let from = 'uploads';
+    let select = UPLOAD_COLUMNS;
+    if (queryMatch) {
+        from = `uploads JOIN (
+            SELECT rowid AS match_id,
+                   bm25(uploads_fts, 10.0, 2.0, 5.0, 1.0) AS score,
+                   highlight(uploads_fts, 0, '${HIGHLIGHT_START}', '${HIGHLIGHT_END}') AS title_highlight,
+                   snippet(uploads_fts, 1, '${HIGHLIGHT_START}', '${HIGHLIGHT_END}', '…', 16) AS snippet
+            FROM uploads_fts WHERE uploads_fts MATCH ?
+        ) m ON m.match_id = uploads.id`;
+        select = `${UPLOAD_COLUMNS}, m.score, m.title_highlight, m.snippet`;
+        params.push(queryMatch);
+    }
+
+    const tagName = normalizeTag(tag);
+    if (tagName) {
+        where.push(HAS_TAG_SQL);
+        params.push(tagName);
     }
 
-    if (tag) {
-        query += ' AND tags LIKE ?';
-        params.push(`%${tag}%`);
+    // Exclusions match whole words only, so "-art" does not also drop "artwork"
+    const excludeMatch = toMatchExpression(exclude.map((term) => ({ ...term, phrase: true })), 'OR');
+    if (excludeMatch) {
+        where.push('id NOT IN (SELECT rowid FROM uploads_fts WHERE uploads_fts MATCH ?)');
+        params.push(excludeMatch);
     }
 
-    query += ' ORDER BY upload_date DESC';
+    // Image property filters (?min_resolution=&orientation=&aspect=&color=)
+    const conditions = imageFilterConditions(filters);
+    where.push(...conditions.where);
+    params.push(...conditions.params);
 
-    db.all(query, params, (err, rows) => {
-        if (err) {
-            res.status(500).json({ error: err.message });
-            return;
+    // Rank by relevance only when there are words to rank against
+    const order = queryMatch ? RELEVANCE_ORDER : RECENT_ORDER;
+    return { from, select, where, params, order, queryMatch };
+}
+
+app.get('/api/search', (req, res) => {
+    const { q, tag } = req.query;
+    const filters = parseImageFilters(req.query);
+    if (filters.error) return res.status(400).json({ error: filters.error });
+    const { queryMatch, ...query } = buildSearchQuery(q, tag, filters);
+
+    sendUploadPage(req, res, {
+        ...query,
+        mapRow: (row) => {
+            const { score, title_highlight, snippet, ...upload } = row;
+            const result = serializeUpload(upload);
+            if (queryMatch) {
+                result.highlights = { title: title_highlight, snippet };
+            }
+            return result;
         }
+    });
+});
+
+// List tags with usage counts (most used first)
+app.get('/api/tags', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const sql = `SELECT t.name, COUNT(ut.upload_id) AS count
+                 FROM tags t JOIN upload_tags ut ON ut.tag_id = t.id
+                 JOIN uploads ON uploads.id = ut.upload_id AND ${VISIBLE_UPLOAD_SQL}
+                 GROUP BY t.id ORDER BY count DESC, t.name ASC LIMIT ?`;
+    db.all(sql, [limit], (err, rows) => {
+        if (err) return res.status(500).json({ error: err.message });
         res.json(rows);
     });
 });
 
-// Like a file
-app.post('/api/like/:id', (req, res) => {
-    const { id } = req.params;
-    const query = 'UPDATE uploads SET like_count = like_count + 1 WHERE id = ?';
-    
-    db.run(query, [id], function(err) {
-        if (err) {
-            res.status(500).json({ error: err.message });
-            return;
-        }
-        if (this.changes === 0) {
-            res.status(404).json({ error: 'File not found' });
-            return;
-        }
-        res.json({ message: 'File liked successfully' });
+// Prefix autocomplete for tag inputs: /api/tags/suggest?q=wall
+app.get('/api/tags/suggest', (req, res) => {
+    const prefix = normalizeTag(req.query.q);
+    if (!prefix) return res.json([]);
+    const sql = `SELECT t.name, COUNT(ut.upload_id) AS count
+                 FROM tags t JOIN upload_tags ut ON ut.tag_id = t.id
+                 JOIN uploads ON uploads.id = ut.upload_id AND ${VISIBLE_UPLOAD_SQL}
+                 WHERE t.name LIKE ? ESCAPE '\\'
+                 GROUP BY t.id ORDER BY count DESC, t.name ASC LIMIT 10`;
+    const pattern = prefix.replace(/[\\%_]/g, (c) => `\\${c}`) + '%';
+    db.all(sql, [pattern], (err, rows) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json(rows);
     });
 });
 
-// Download a file
-app.get('/api/download/:id', (req, res) => {
-    const { id } = req.params;
-    const query = 'SELECT id, title, description, tags, filename, original_name, uploader_name, like_count, download_count, upload_date FROM uploads WHERE id = ?';
-    
-    db.get(query, [id], (err, row) => {
-        if (err) {
-            res.status(500).json({ error: err.message });
-            return;
-        }
-        if (!row) {
-            res.status(404).json({ error: 'File not found' });
-            return;
-        }
+// Uploads carrying a tag (paginated like /api/uploads)
+app.get('/api/tags/:tag/uploads', (req, res) => {
+    const tagName = normalizeTag(req.params.tag);
+    if (!tagName) return res.status(400).json({ error: 'Invalid tag' });
+    sendUploadPage(req, res, { where: [HAS_TAG_SQL], params: [tagName], order: RECENT_ORDER });
+});
 
-        // Increment download count
-        const updateQuery = 'UPDATE uploads SET download_count = download_count + 1 WHERE id = ?';
-        db.run(updateQuery, [id], (err) => {
-            if (err) {
-                console.error('Error updating download count:', err.message);
-            }
-        });
+// Syndication feeds: /feeds/<kind>[.rss|.atom|.json] (RSS when no extension)
+const FEED_SIZE = 30;
+const FEED_FORMAT_ROUTE = `.:format(${Object.keys(FEED_FORMATS).join('|')})?`;
+// Absolute base for links in feeds, e.g. https://pixelvault.example (defaults to the request's host)
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, '');
 
-        // Send file
-        const filePath = path.join(__dirname, 'uploads', row.filename);
-        res.download(filePath, row.original_name);
-    });
-});
+function siteUrl(req) {
+    return PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+}
 
-// Cleanup job: periodically remove expired uploads
-setInterval(() => {
-    const nowIso = new Date().toISOString();
-    const selectSql = 'SELECT id, filename FROM uploads WHERE expires_at IS NOT NULL AND expires_at <= ?';
-    db.all(selectSql, [nowIso], (err, rows) => {
-        if (err || !rows || rows.length === 0) return;
-        rows.forEach((r) => {
-            const filePath = path.join(__dirname, 'uploads', r.filename);
-            fs.unlink(filePath, (unlinkErr) => {
-                if (unlinkErr && unlinkErr.code !== 'ENOENT') {
-                    console.error('Error deleting expired file:', unlinkErr.message);
-                }
-                db.run('DELETE FROM uploads WHERE id = ?', [r.id], (delErr) => {
-                    if (delErr) console.error('Error deleting expired db row:', delErr.message);
-                });
-            });
+// CURRENT_TIMESTAMP values are UTC without a zone marker
+function parseDbDate(value) {
+    const text = String(value);
+    return new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(text) ? text : `${text.replace(' ', 'T')}Z`);
+}
+
+async function feedEntry(row, base) {
+    const url = `${base}/file.html?id=${row.id}`;
+    const published = parseDbDate(row.upload_date);
+    const stat = await storage.stat(row.filename).catch(() => null);
+    return {
+        id: url,
+        url,
+        title: row.title,
+        description: row.description || '',
+        author: row.uploader_name,
+        published,
+        updated: row.replaced_at ? parseDbDate(row.replaced_at) : published,
+        tags: parseTags(row.tags),
+        image: {
+            url: `${base}/uploads/${encodeURIComponent(row.filename)}`,
+            type: mimeForExtension(path.extname(row.filename)),
+            length: stat ? stat.size : 0
+        }
+    };
+}
+
+// Render the newest FEED_SIZE visible uploads matching `query` in the format
+// picked by the route. The body only changes when the entries do, so its hash
+// is a stable ETag and pollers get 304 Not Modified until something changes.
+async function sendFeed(req, res, { title, description, homePath, feedPath, search = '', query }) {
+    try {
+        const base = siteUrl(req);
+        const { items } = await fetchPageAsync(db, {
+            select: `${query.select || UPLOAD_COLUMNS}, uploads.replaced_at`,
+            from: query.from || 'uploads',
+            where: [VISIBLE_UPLOAD_SQL, ...query.where],
+            params: query.params,
+            order: RECENT_ORDER,
+            limit: FEED_SIZE
         });
-    });
-}, 60 * 60 * 1000); // hourly cleanup
+        const entries = await Promise.all(items.map((row) => feedEntry(row, base)));
+        const lastModified = entries.reduce((latest, e) => (e.updated > latest ? e.updated : latest), new Date(0));
 
-// Get leaderboard
-app.get('/api/leaderboard', (req, res) => {
-    const { month } = req.query;
-    let query = 'SELECT id, title, description, tags, filename, original_name, uploader_name, like_count, download_count, upload_date FROM uploads WHERE 1=1';
-    const params = [];
+        const selfUrls = {};
+        Object.keys(FEED_FORMATS).forEach((name) => {
+            selfUrls[name] = `${base}${feedPath}.${name}${search}`;
+        });
+        const format = FEED_FORMATS[req.params.format || 'rss'];
+        const body = format.render({ title, description, homeUrl: `${base}${homePath}`, selfUrls, updated: lastModified }, entries);
 
-    if (month) {
-        query += ' AND strftime("%m", upload_date) = ?';
-        params.push(month.padStart(2, '0'));
+        // No Last-Modified: edits, hides and deletes change a feed without a
+        // newer upload date, so only the body hash tells whether it changed
+        res.set({
+            'Content-Type': format.contentType,
+            'Cache-Control': 'public, max-age=300',
+            ETag: `"${sha256(body).slice(0, 32)}"`
+        });
+        if (req.fresh) return res.status(304).end();
+        res.send(body);
+    } catch (err) {
+        sendError(res, err);
     }
+}
 
-    query += ' ORDER BY like_count DESC, download_count DESC';
-
-    db.all(query, params, (err, rows) => {
-        if (err) {
-            res.status(500).json({ error: err.message });
-            return;
-        }
-        res.json(rows);
+app.get(`/feeds/latest${FEED_FORMAT_ROUTE}`, (req, res) => {
+    sendFeed(req, res, {
+        title: 'PixelVault: latest uploads',
+        description: 'The newest images shared on PixelVault',
+        homePath: '/index.html',
+        feedPath: '/feeds/latest',
+        query: { where: [], params: [] }
     });
 });
 
-// Get file info by ID
-app.get('/api/uploads/:id', (req, res) => {
-    const { id } = req.params;
-    const query = 'SELECT id, title, description, tags, filename, original_name, uploader_name, like_count, download_count, upload_date FROM uploads WHERE id = ?';
-    
-    db.get(query, [id], (err, row) => {
-        if (err) {
-            res.status(500).json({ error: err.message });
-            return;
-        }
-        if (!row) {
-            res.status(404).json({ error: 'File not found' });
-            return;
-        }
-        res.json(row);
+app.get(`/feeds/tags/:tag${FEED_FORMAT_ROUTE}`, (req, res) => {
+    const tagName = normalizeTag(req.params.tag);
+    if (!tagName) return res.status(400).json({ error: 'Invalid tag' });
+    sendFeed(req, res, {
+        title: `PixelVault: #${tagName}`,
+        description: `The newest images tagged ${tagName}`,
+        homePath: `/tag.html?tag=${encodeURIComponent(tagName)}`,
+        feedPath: `/feeds/tags/${encodeURIComponent(tagName)}`,
+        query: { where: [HAS_TAG_SQL], params: [tagName] }
     });
 });
 
-// Comments: table and endpoints
-db.run(`CREATE TABLE IF NOT EXISTS comments (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    upload_id INTEGER NOT NULL,
-    name TEXT,
-    comment TEXT NOT NULL,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY(upload_id) REFERENCES uploads(id) ON DELETE CASCADE
-)`);
-
-app.get('/api/uploads/:id/comments', (req, res) => {
-    const { id } = req.params;
-    db.all('SELECT id, name, comment, created_at FROM comments WHERE upload_id = ? ORDER BY created_at DESC', [id], (err, rows) => {
-        if (err) return res.status(500).json({ error: err.message });
-        res.json(rows || []);
+app.get(`/feeds/uploaders/:name${FEED_FORMAT_ROUTE}`, (req, res) => {
+    const name = req.params.name.trim();
+    if (!name) return res.status(400).json({ error: 'Invalid uploader name' });
+    sendFeed(req, res, {
+        title: `PixelVault: uploads by ${name}`,
+        description: `The newest images shared by ${name}`,
+        homePath: '/index.html',
+        feedPath: `/feeds/uploaders/${encodeURIComponent(name)}`,
+        query: { where: ['uploader_name = ? COLLATE NOCASE'], params: [name] }
     });
 });
 
-app.post('/api/uploads/:id/comments', (req, res) => {
-    const { id } = req.params;
-    const { name, comment } = req.body || {};
-    if (!comment || !comment.trim()) return res.status(400).json({ error: 'comment is required' });
-    const sql = 'INSERT INTO comments (upload_id, name, comment) VALUES (?, ?, ?)';
-    db.run(sql, [id, (name || '').toString().slice(0, 120), comment.toString().slice(0, 4000)], function(err) {
-        if (err) return res.status(500).json({ error: err.message });
-        res.json({ id: this.lastID });
+// Newest matches for a search (same syntax as /api/search), not ranked by relevance
+app.get(`/feeds/search${FEED_FORMAT_ROUTE}`, (req, res) => {
+    const q = String(req.query.q || '').trim();
+    const tag = String(req.query.tag || '').trim();
+    if (!q && !tag) return res.status(400).json({ error: 'q or tag is required' });
+    const filters = parseImageFilters(req.query);
+    if (filters.error) return res.status(400).json({ error: filters.error });
+    const { from, select, where, params } = buildSearchQuery(q, tag, filters);
+    const search = new URLSearchParams();
+    if (q) search.append('q', q);
+    if (tag) search.append('tag', tag);
+    IMAGE_FILTER_PARAMS.filter((name) => req.query[name]).forEach((name) => search.append(name, String(req.query[name]).trim()));
+    sendFeed(req, res, {
+        title: `PixelVault: search for ${[q, tag && `#${tag}`].filter(Boolean).join(' ')}`,
+        description: 'The newest images matching a PixelVault search',
+        homePath: `/search.html?${search}`,
+        feedPath: '/feeds/search',
+        search: `?${search}`,
+        query: { from, select, where, params }
     });
 });
 
-// Update upload metadata (requires secret_code)
-app.put('/api/uploads/:id', (req, res) => {
+// Like a file (once per visitor)
+app.post('/api/like/:id', (req, res) => {
     const { id } = req.params;
-    const { secret_code, title, description, tags } = req.body || {};
-
-    if (!secret_code) {
-        return res.status(400).json({ error: 'secret_code is required' });
-    }
 
-    // Verify secret
-    db.get('SELECT secret_code FROM uploads WHERE id = ?', [id], (err, row) => {
+    db.get(`SELECT id FROM uploads WHERE id = ? AND ${VISIBLE_UPLOAD_SQL}`, [id], (err, row) => {
         if (err) return res.status(500).json({ error: err.message });
         if (!row) return res.status(404).json({ error: 'File not found' });
-        if (secret_code !== ADMIN_SECRET && row.secret_code !== secret_code) return res.status(403).json({ error: 'Invalid secret code' });
 
-        const fields = [];
-        const params = [];
-        if (typeof title === 'string' && title.trim() !== '') { fields.push('title = ?'); params.push(title.trim()); }
-        if (typeof description === 'string') { fields.push('description = ?'); params.push(description); }
-        if (typeof tags === 'string') { fields.push('tags = ?'); params.push(tags); }
+        db.run('INSERT OR IGNORE INTO likes (upload_id, visitor_id) VALUES (?, ?)', [id, req.visitorId], function(insertErr) {
+            if (insertErr) return res.status(500).json({ error: insertErr.message });
+            if (this.changes === 0) {
+                return res.status(409).json({ error: 'You already liked this file' });
+            }
+            db.run('UPDATE uploads SET like_count = like_count + 1 WHERE id = ?', [id], (updateErr) => {
+                if (updateErr) return res.status(500).json({ error: updateErr.message });
+                recordEvent('like', Number(id));
+                sendLikeState(res, id, true, 'File liked successfully');
+            });
+        });
+    });
+});
+
+// Remove this visitor's like
+app.delete('/api/like/:id', (req, res) => {
+    const { id } = req.params;
+
+    db.run('DELETE FROM likes WHERE upload_id = ? AND visitor_id = ?', [id, req.visitorId], function(err) {
+        if (err) return res.status(500).json({ error: err.message });
+        if (this.changes === 0) {
+            return res.status(404).json({ error: 'You have not liked this file' });
+        }
+        db.run('UPDATE uploads SET like_count = MAX(like_count - 1, 0) WHERE id = ?', [id], (updateErr) => {
+            if (updateErr) return res.status(500).json({ error: updateErr.message });
+            recordEvent('unlike', Number(id));
+            sendLikeState(res, id, false, 'Like removed');
+        });
+    });
+});
+
+function sendLikeState(res, id, liked, message) {
+    db.get('SELECT like_count FROM uploads WHERE id = ?', [id], (err, row) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json({ message, liked_by_me: liked, like_count: row ? row.like_count : 0 });
+    });
+}
+
+// Download a file (?version=N for an older version of the image)
+app.get('/api/download/:id', (req, res) => {
+    const { id } = req.params;
+    const version = req.query.version === undefined ? null : Number(req.query.version);
+    if (version !== null && !Number.isInteger(version)) {
+        return res.status(400).json({ error: 'version must be a version number' });
+    }
+    let query = `SELECT filename, original_name FROM uploads WHERE id = ? AND ${VISIBLE_UPLOAD_SQL}`;
+    let params = [id];
+    if (version !== null) {
+        // The current version lives in uploads, older ones in upload_versions
+        query = `SELECT COALESCE(v.filename, uploads.filename) AS filename,
+                        COALESCE(v.original_name, uploads.original_name) AS original_name
+                 FROM uploads LEFT JOIN upload_versions v ON v.upload_id = uploads.id AND v.version = ?
+                 WHERE uploads.id = ? AND ${VISIBLE_UPLOAD_SQL} AND (v.id IS NOT NULL OR uploads.version = ?)`;
+        params = [version, id, version];
+    }
+
+    db.get(query, params, async (err, row) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        if (!row) {
+            res.status(404).json({ error: version !== null ? 'Version not found' : 'File not found' });
+            return;
+        }
+
+        try {
+            const stream = await openStoredFile(row.filename);
+            // The download is counted before the first byte goes out
+            const granted = await takeDownloads([Number(id)]);
+            if (granted.length === 0) {
+                stream.destroy();
+                throw httpError(404, 'File not found');
+            }
+            res.attachment(row.original_name);
+            pipeStoredFile(stream, res);
+        } catch (fileErr) {
+            sendError(res, fileErr);
+        }
+    });
+});
+
+// On-demand rendition of an upload's current image:
+// ?width=&height=&fit=cover|contain&format=webp|avif|jpeg|png&quality=
+// Each parameter set is rendered once and then served from the disk cache.
+// The ETag names the stored file and the parameters, so it changes when the
+// image is replaced.
+app.get('/api/image/:id', async (req, res) => {
+    const params = parseTransformParams(req.query);
+    if (params.error) {
+        return res.status(400).json({ error: params.error });
+    }
+    try {
+        const row = await dbGet(`SELECT id, filename FROM uploads WHERE id = ? AND ${VISIBLE_UPLOAD_SQL}`, [req.params.id]);
+        if (!row) throw httpError(404, 'File not found');
+
+        const name = `${path.parse(row.filename).name}-${transformKey(params)}`;
+        res.set({ 'Cache-Control': 'public, max-age=86400', ETag: `"${name}"` });
+        if (req.fresh) return res.status(304).end();
+
+        const { data, hit } = await imageCache.fetch(row.id, name, async () => {
+            const original = await readBuffer(storage, row.filename).catch((err) => {
+                throw err.code === 'ENOENT' ? httpError(404, 'File not found') : err;
+            });
+            return renderTransform(original, params);
+        });
+        res.set({ 'Content-Type': OUTPUT_FORMATS[params.format].mime, 'X-Cache': hit ? 'HIT' : 'MISS' });
+        res.send(data);
+    } catch (err) {
+        res.removeHeader('Cache-Control');
+        res.removeHeader('ETag');
+        sendError(res, err);
+    }
+});
+
+// Trash job: move expired uploads to the trash and purge what has been
+// there longer than the grace period
+function runTrashJobs() {
+    dbAll('SELECT id FROM uploads WHERE expires_at IS NOT NULL AND expires_at <= ? AND deleted_at IS NULL', [new Date().toISOString()])
+        .then(async (rows) => {
+            for (const row of rows) await trashUpload(row.id);
+            if (rows.length) console.log(`Moved ${rows.length} expired upload(s) to the trash`);
+            const purged = await purgeTrash();
+            if (purged) console.log(`Purged ${purged} upload(s) from the trash`);
+        })
+        .catch((err) => console.error('Error running trash jobs:', err.message));
+}
+setInterval(runTrashJobs, 60 * 60 * 1000); // hourly, and once at startup
+
+// Get leaderboard
+// Leaderboards (see lib/leaderboard.js for boards and windows)
+const COMMENT_COUNT_SQL = '(SELECT COUNT(*) FROM comments WHERE comments.upload_id = uploads.id AND comments.hidden = 0)';
+
+// Lifetime score per board, used when no window is given
+const LIFETIME_SCORES = {
+    likes: 'like_count',
+    downloads: 'download_count',
+    comments: COMMENT_COUNT_SQL
+};
+
+// Timestamped engagement per board, used inside a window
+const ENGAGEMENT_EVENTS = {
+    likes: { table: 'likes', time: 'created_at' },
+    downloads: { table: 'events', time: 'created_at', where: "type = 'download'" },
+    comments: { table: 'comments', time: 'created_at', where: 'hidden = 0' }
+};
+
+// Every engagement event with its trending weight
+const TRENDING_EVENTS_SQL = `
+    SELECT upload_id, created_at AS at, ${TRENDING_WEIGHTS.like} AS weight FROM likes
+    UNION ALL SELECT upload_id, created_at, ${TRENDING_WEIGHTS.download} FROM events WHERE type = 'download'
+    UNION ALL SELECT upload_id, created_at, ${TRENDING_WEIGHTS.comment} FROM comments WHERE hidden = 0`;
+
+// The list query for a parsed leaderboard, shared by /api/leaderboard and the
+// ZIP download. Windowed boards only list uploads with engagement in the window.
+function buildLeaderboardQuery({ board, window }) {
+    const select = `${UPLOAD_COLUMNS}, ${COMMENT_COUNT_SQL} AS comment_count`;
+    const params = [];
+    let from = 'uploads';
+    let scoreExpr;
+
+    if (!window) {
+        scoreExpr = LIFETIME_SCORES[board];
+    } else if (board === 'trending') {
+        // Each event counts weight * 0.5^(age / half-life), age taken at the window end
+        from = `uploads JOIN (
+            SELECT upload_id,
+                   SUM(weight * exp(-0.6931471805599453 * (julianday(?) - julianday(at)) * 24.0 / ?)) AS score
+            FROM (${TRENDING_EVENTS_SQL}) WHERE at >= ? AND at < ? GROUP BY upload_id
+        ) s ON s.upload_id = uploads.id`;
+        params.push(window.until, window.halfLifeHours, window.since, window.until);
+        scoreExpr = 's.score';
+    } else {
+        const { table, time, where } = ENGAGEMENT_EVENTS[board];
+        from = `uploads JOIN (
+            SELECT upload_id, COUNT(*) AS score FROM ${table}
+            WHERE ${where ? `${where} AND ` : ''}${time} >= ? AND ${time} < ? GROUP BY upload_id
+        ) s ON s.upload_id = uploads.id`;
+        params.push(window.since, window.until);
+        scoreExpr = 's.score';
+    }
+
+    return {
+        from,
+        select: `${select}, ${scoreExpr} AS score`,
+        where: [],
+        params,
+        order: [
+            { expr: scoreExpr, key: 'score', dir: 'DESC' },
+            { expr: 'id', key: 'id', dir: 'DESC' }
+        ]
+    };
+}
+
+// Get leaderboard: ?board=likes|downloads|comments|trending, ?period=24h|7d|30d|all or ?year=&month=
+app.get('/api/leaderboard', (req, res) => {
+    const leaderboard = parseLeaderboardParams(req.query);
+    if (leaderboard.error) {
+        return res.status(400).json({ error: leaderboard.error });
+    }
+    sendUploadPage(req, res, {
+        ...buildLeaderboardQuery(leaderboard),
+        mapRow: (row) => ({
+            ...serializeUpload(row),
+            score: leaderboard.board === 'trending' ? Math.round(row.score * 100) / 100 : row.score
+        })
+    });
+});
+
+// Statistics: lifetime totals plus daily/weekly event counts (see lib/stats.js)
+const SITE_SERIES_FIELDS = { upload: 'uploads', like: 'likes', unlike: 'unlikes', download: 'downloads', comment: 'comments' };
+const UPLOAD_SERIES_FIELDS = { like: 'likes', unlike: 'unlikes', download: 'downloads', comment: 'comments' };
+
+// Event counts per bucket and type, optionally for one upload
+function fetchEventSeries(stats, fields, uploadId) {
+    const where = ['created_at >= ?', 'created_at < ?'];
+    const params = [stats.since, stats.until];
+    if (uploadId !== undefined) {
+        where.push('upload_id = ?');
+        params.push(uploadId);
+    }
+    const sql = `
+        SELECT ${bucketSql(stats.interval, 'created_at')} AS bucket, type, COUNT(*) AS count
+        FROM events WHERE ${where.join(' AND ')}
+        GROUP BY bucket, type
+    `;
+    return dbAll(sql, params).then((rows) => buildSeries(stats.buckets, fields, rows));
+}
+
+function statsWindow(stats) {
+    return { interval: stats.interval, range: stats.range, since: stats.since, until: stats.until };
+}
+
+// Site-wide totals and activity: ?interval=day|week&range=N
+app.get('/api/stats', async (req, res) => {
+    const stats = parseStatsParams(req.query);
+    if (stats.error) {
+        return res.status(400).json({ error: stats.error });
+    }
+    try {
+        const totals = await dbGet(`
+            SELECT COUNT(*) AS uploads,
+                   COALESCE(SUM(download_count), 0) AS downloads,
+                   COALESCE(SUM(like_count), 0) AS likes,
+                   (SELECT COUNT(*) FROM comments WHERE hidden = 0 AND upload_id IN (SELECT id FROM uploads WHERE ${VISIBLE_UPLOAD_SQL})) AS comments,
+                   COUNT(DISTINCT uploader_name) AS uploaders
+            FROM uploads WHERE ${VISIBLE_UPLOAD_SQL}
+        `);
+        const series = await fetchEventSeries(stats, SITE_SERIES_FIELDS);
+        res.json({ totals, ...statsWindow(stats), series });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// One upload's totals and activity, same parameters as /api/stats
+app.get('/api/uploads/:id/stats', async (req, res) => {
+    const stats = parseStatsParams(req.query);
+    if (stats.error) {
+        return res.status(400).json({ error: stats.error });
+    }
+    try {
+        const row = await dbGet(`
+            SELECT id, upload_date, like_count AS likes, download_count AS downloads,
+                   ${COMMENT_COUNT_SQL} AS comments
+            FROM uploads WHERE id = ? AND ${VISIBLE_UPLOAD_SQL}
+        `, [req.params.id]);
+        if (!row) return res.status(404).json({ error: 'File not found' });
+
+        const { id, upload_date, ...totals } = row;
+        const series = await fetchEventSeries(stats, UPLOAD_SERIES_FIELDS, id);
+        res.json({ id, upload_date, totals, ...statsWindow(stats), series });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Get file info by ID
+app.get('/api/uploads/:id', (req, res) => {
+    const { id } = req.params;
+    const query = `SELECT ${UPLOAD_COLUMNS}, ${LIKED_BY_ME_COLUMN} FROM uploads WHERE id = ? AND ${VISIBLE_UPLOAD_SQL}`;
+    
+    db.get(query, [req.visitorId, id], (err, row) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        if (!row) {
+            res.status(404).json({ error: 'File not found' });
+            return;
+        }
+        const albumsSql = `SELECT a.id, a.title FROM albums a JOIN album_items ai ON ai.album_id = a.id
+                           WHERE ai.upload_id = ? ORDER BY a.title`;
+        db.all(albumsSql, [id], (albumsErr, albums) => {
+            if (albumsErr) return res.status(500).json({ error: albumsErr.message });
+            res.json({ ...serializeUpload(row), albums });
+        });
+    });
+});
+
+// Uploads that look like this one (perceptual hash), closest first
+app.get('/api/uploads/:id/similar', (req, res) => {
+    const { id } = req.params;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 8, 24);
+    const maxDistance = req.query.max_distance !== undefined
+        ? Math.min(Math.max(parseInt(req.query.max_distance, 10) || 0, 0), 64)
+        : SIMILAR_MAX_DISTANCE;
+
+    db.get(`SELECT id, phash FROM uploads WHERE id = ? AND ${VISIBLE_UPLOAD_SQL}`, [id], (err, row) => {
+        if (err) return res.status(500).json({ error: err.message });
+        if (!row) return res.status(404).json({ error: 'File not found' });
+        if (!row.phash) return res.json([]);
+
+        findSimilarUploads(row.phash, { excludeId: row.id, maxDistance, limit, visitorId: req.visitorId }, (findErr, matches) => {
+            if (findErr) return res.status(500).json({ error: findErr.message });
+            res.json(matches);
+        });
+    });
+});
+
+// Comments endpoints
+
+// Each IP may post 5 comments a minute, then has to wait 5 minutes
+const commentQuota = createPostQuota({ maxPosts: 5, windowMs: 60 * 1000, lockoutMs: 5 * 60 * 1000 });
+
+// Threaded: top-level comments newest first, each with nested `replies`
+app.get('/api/uploads/:id/comments', (req, res) => {
+    const { id } = req.params;
+    const sql = `SELECT id, parent_id, name, comment, created_at, edited_at FROM comments
+                 WHERE upload_id = ? AND hidden = 0 ORDER BY created_at, id`;
+    db.all(sql, [id], (err, rows) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json(buildThread(rows || []));
+    });
+});
+
+// { name?, comment, parent_id? } -> { id, edit_token }. The edit token is
+// shown once, like an upload's secret code; only its hash is stored.
+app.post('/api/uploads/:id/comments', async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const body = req.body || {};
+    const input = validateComment(body.name, body.comment);
+    if (input.error) return res.status(400).json({ error: input.error });
+    const parentId = body.parent_id ? parseInt(body.parent_id, 10) : null;
+    if (Number.isNaN(parentId)) return res.status(400).json({ error: 'parent_id must be a comment id' });
+
+    const wait = commentQuota.retryAfter(req.ip);
+    if (wait) return sendError(res, tooManyAttempts(wait, 'You are commenting too fast, try again later'));
+
+    try {
+        await assertNotBanned(req, input.name);
+        const spam = spamReason(input.name, input.comment);
+        if (spam) throw httpError(400, `Comment rejected as spam (${spam})`);
+        const upload = await dbGet(`SELECT id FROM uploads WHERE id = ? AND ${VISIBLE_UPLOAD_SQL}`, [id]);
+        if (!upload) throw httpError(404, 'File not found');
+
+        let depth = 0;
+        if (parentId !== null) {
+            const parent = await dbGet('SELECT depth FROM comments WHERE id = ? AND upload_id = ? AND hidden = 0', [parentId, id]);
+            if (!parent) throw httpError(404, 'Comment to reply to not found');
+            if (parent.depth >= MAX_DEPTH) throw httpError(400, `Replies can be nested at most ${MAX_DEPTH} levels deep`);
+            depth = parent.depth + 1;
+        }
+
+        const editToken = generateSecretCode();
+        const { lastID } = await dbRun(
+            'INSERT INTO comments (upload_id, parent_id, depth, name, comment, ip, edit_hash) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [id, parentId, depth, input.name, input.comment, req.ip, await hashSecretCode(editToken)]
+        );
+        commentQuota.recordPost(req.ip);
+        recordEvent('comment', id);
+        res.json({ id: lastID, edit_token: editToken });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Delete comments together with all of their replies. Resolves to { changes }:
+// the number of comments removed, replies included. The foreign key cascade on
+// parent_id removes the replies, so they are counted before the delete.
+async function deleteCommentTrees(ids) {
+    const json = JSON.stringify(ids);
+    const { count } = await dbGet(
+        `WITH RECURSIVE tree(id) AS (
+             SELECT value FROM json_each(?)
+             UNION SELECT c.id FROM comments c JOIN tree ON c.parent_id = tree.id
+         )
+         SELECT COUNT(*) AS count FROM comments WHERE id IN (SELECT id FROM tree)`,
+        [json]
+    );
+    await dbRun('DELETE FROM comments WHERE id IN (SELECT value FROM json_each(?))', [json]);
+    return { changes: count };
+}
+
+// Edit a comment's text: { edit_token, comment }
+app.put('/api/comments/:id', async (req, res) => {
+    try {
+        const row = await dbGet('SELECT id, name, edit_hash FROM comments WHERE id = ? AND hidden = 0', [req.params.id]);
+        if (!row) throw httpError(404, 'Comment not found');
+        const input = validateComment(row.name, (req.body || {}).comment);
+        if (input.error) throw httpError(400, input.error);
+        await authorizeOwner(req, { type: 'comment', id: row.id, secretHash: row.edit_hash, field: 'edit_token' });
+        const spam = spamReason(row.name || '', input.comment);
+        if (spam) throw httpError(400, `Comment rejected as spam (${spam})`);
+        await dbRun('UPDATE comments SET comment = ?, edited_at = CURRENT_TIMESTAMP WHERE id = ?', [input.comment, row.id]);
+        res.json({ message: 'Comment updated' });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Delete a comment and its replies: { edit_token } from the commenter, or
+// { secret_code } of the upload it was posted on
+app.delete('/api/comments/:id', async (req, res) => {
+    try {
+        const row = await dbGet(
+            `SELECT c.id, c.edit_hash, c.upload_id, u.secret_hash AS upload_hash
+             FROM comments c JOIN uploads u ON u.id = c.upload_id WHERE c.id = ?`,
+            [req.params.id]
+        );
+        if (!row) throw httpError(404, 'Comment not found');
+        if ((req.body || {}).edit_token !== undefined) {
+            await authorizeOwner(req, { type: 'comment', id: row.id, secretHash: row.edit_hash, field: 'edit_token' });
+        } else {
+            await authorizeOwner(req, { type: 'upload', id: row.upload_id, secretHash: row.upload_hash });
+        }
+        const { changes } = await deleteCommentTrees([row.id]);
+        res.json({ message: changes > 1 ? `Comment and ${changes - 1} replies deleted` : 'Comment deleted' });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Load an upload (`columns`) and check the secret code or admin token;
+// resolves to the row. Only uploads in the trash qualify with `trashed`,
+// only the others without it.
+async function loadOwnedUpload(req, columns, { trashed = false } = {}) {
+    const row = await dbGet(`SELECT id, secret_hash, deleted_at, ${columns} FROM uploads WHERE id = ?`, [req.params.id]);
+    if (!row) throw httpError(404, 'File not found');
+    if (Boolean(row.deleted_at) !== trashed) {
+        throw httpError(409, trashed ? 'File is not in the trash' : 'File is in the trash; restore it first');
+    }
+    await authorizeOwner(req, { type: 'upload', id: row.id, secretHash: row.secret_hash });
+    return row;
+}
+
+// Callback form of loadOwnedUpload: calls next(row) or responds with an error
+function withUploadSecret(req, res, columns, next, options) {
+    loadOwnedUpload(req, columns, options).then(next, (err) => sendError(res, err));
+}
+
+// Update upload metadata and expiry (requires secret_code). Sending
+// expires_at / auto_delete or max_downloads as null or '' removes that limit.
+app.put('/api/uploads/:id', (req, res) => {
+    const { id } = req.params;
+    const body = req.body || {};
+    const { title, description, tags } = body;
+
+    withUploadSecret(req, res, 'id', () => {
+        const fields = [];
+        const params = [];
+        if (typeof title === 'string' && title.trim() !== '') { fields.push('title = ?'); params.push(title.trim()); }
+        if (typeof description === 'string') { fields.push('description = ?'); params.push(description); }
+        const tagNames = typeof tags === 'string' ? parseTags(tags) : null;
+        if (tagNames) { fields.push('tags = ?'); params.push(formatTags(tagNames)); }
+        if ('expires_at' in body || 'auto_delete' in body) {
+            const expiry = parseExpiry(body);
+            if (expiry.error) return res.status(400).json({ error: expiry.error });
+            fields.push('expires_at = ?');
+            params.push(expiry.value);
+        }
+        if ('max_downloads' in body) {
+            const limit = parseDownloadLimit(body.max_downloads);
+            if (limit.error) return res.status(400).json({ error: limit.error });
+            fields.push('downloads_remaining = ?');
+            params.push(limit.value);
+        }
 
         if (fields.length === 0) {
             return res.status(400).json({ error: 'No fields to update' });
@@ -394,45 +1408,964 @@ app.put('/api/uploads/:id', (req, res) => {
         params.push(id);
         db.run(updateSql, params, function(updateErr) {
             if (updateErr) return res.status(500).json({ error: updateErr.message });
-            return res.json({ message: 'Updated successfully' });
+            if (!tagNames) return res.json({ message: 'Updated successfully' });
+            saveUploadTags(id, tagNames, (tagErr) => {
+                if (tagErr) return res.status(500).json({ error: tagErr.message });
+                return res.json({ message: 'Updated successfully' });
+            });
         });
     });
 });
 
-// Delete upload (requires secret_code)
+// Delete upload (requires secret_code): moves it to the trash
 app.delete('/api/uploads/:id', (req, res) => {
-    const { id } = req.params;
-    const { secret_code } = req.body || {};
+    withUploadSecret(req, res, 'id', (row) => {
+        trashUpload(row.id)
+            .then((trashed) => res.json({ message: 'Moved to trash', purge_at: trashed.purge_at }))
+            .catch((err) => sendError(res, err));
+    });
+});
+
+// Take an upload back out of the trash (requires secret_code)
+app.post('/api/uploads/:id/restore', (req, res) => {
+    withUploadSecret(req, res, 'id', (row) => {
+        restoreUpload(row.id)
+            .then(({ removed_limits }) => {
+                const removed = removed_limits.map((field) => REMOVED_LIMIT_LABELS[field]).join(' and ');
+                res.json({
+                    message: removed ? `Restored successfully; removed the used-up ${removed}` : 'Restored successfully',
+                    id: row.id,
+                    removed_limits
+                });
+            })
+            .catch((err) => sendError(res, err));
+    }, { trashed: true });
+});
+
+// Versions: replacing the image keeps the upload's id, likes, downloads,
+// comments and link. The file being replaced moves to upload_versions (with
+// its blob reference) and uploads.version counts up.
+
+// Swap `file` in as the new current image of `row` ({ id, content_hash }).
+// Resolves to { version, filename, original_name, content_hash, variants } and
+// the new image's properties.
+async function replaceUploadFile(row, file, keepCamera) {
+    const image = await prepareUploadedImage(file, keepCamera);
+    if (image.hash === row.content_hash) {
+        throw httpError(409, 'This image is identical to the current version');
+    }
+    const { filename, variants } = await storeImageBlob(image);
+    const phash = await computePerceptualHash(image.buffer).catch((hashErr) => {
+        console.error('Error computing perceptual hash:', hashErr.message);
+        return null;
+    });
+    const props = await readImageProperties(image);
+
+    let archived = null;
+    try {
+        archived = (await dbRun(
+            `INSERT INTO upload_versions (upload_id, version, filename, original_name, content_hash, variants, phash, created_at)
+             SELECT id, version, filename, original_name, content_hash, variants, phash, COALESCE(replaced_at, upload_date)
+             FROM uploads WHERE id = ?`,
+            [row.id]
+        )).lastID;
+        const updated = await dbGet(
+            `UPDATE uploads SET filename = ?, original_name = ?, content_hash = ?, variants = ?, phash = ?,
+                    version = version + 1, replaced_at = CURRENT_TIMESTAMP, broken_at = NULL, broken_reason = NULL
+             WHERE id = ? RETURNING version`,
+            [filename, file.originalname, image.hash, variants ? JSON.stringify(variants) : null, phash, row.id]
+        );
+        dropCachedRenditions(row.id);
+        await recordImageProperties(row.id, props);
+        return {
+            version: updated.version,
+            filename,
+            original_name: file.originalname,
+            content_hash: image.hash,
+            ...imagePropertyFields(props),
+            variants
+        };
+    } catch (err) {
+        if (archived) await dbRun('DELETE FROM upload_versions WHERE id = ?', [archived]).catch(() => {});
+        releaseBlob(image.hash, filename, variants);
+        throw err;
+    }
+}
 
-    if (!secret_code) {
-        return res.status(400).json({ error: 'secret_code is required' });
+// Replace the image (multipart: file, secret_code, keep_camera_metadata)
+app.post('/api/uploads/:id/replace', upload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) throw httpError(400, 'No file uploaded');
+        const row = await loadOwnedUpload(req, 'content_hash, uploader_name');
+        await assertNotBanned(req, row.uploader_name);
+        const replaced = await replaceUploadFile(row, req.file, isChecked(req.body.keep_camera_metadata));
+        res.json({ message: 'Image replaced', id: row.id, ...replaced, variants: variantUrls(replaced.variants) });
+    } catch (err) {
+        discardTempFiles([req.file].filter(Boolean));
+        sendError(res, err);
     }
+});
+
+// All versions of an upload, newest (the current one) first
+app.get('/api/uploads/:id/versions', async (req, res) => {
+    try {
+        const current = await dbGet(
+            `SELECT id, version, filename, original_name, content_hash, variants,
+                    COALESCE(replaced_at, upload_date) AS created_at
+             FROM uploads WHERE id = ? AND ${VISIBLE_UPLOAD_SQL}`,
+            [req.params.id]
+        );
+        if (!current) throw httpError(404, 'File not found');
+        const older = await dbAll(
+            `SELECT version, filename, original_name, content_hash, variants, created_at, replaced_at
+             FROM upload_versions WHERE upload_id = ? ORDER BY version DESC`,
+            [current.id]
+        );
+        const serializeVersion = (v, isCurrent) => ({
+            version: v.version,
+            current: isCurrent,
+            filename: v.filename,
+            original_name: v.original_name,
+            content_hash: v.content_hash,
+            created_at: v.created_at,
+            replaced_at: isCurrent ? null : v.replaced_at,
+            variants: variantUrls(parseVariants(v.variants)),
+            download_url: `/api/download/${current.id}?version=${v.version}`
+        });
+        res.json([serializeVersion(current, true), ...older.map((v) => serializeVersion(v, false))]);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Trash: deleting or expiring an upload only sets deleted_at. Trashed uploads
+// are left out of every listing (VISIBLE_UPLOAD_SQL) but keep their file,
+// likes and comments until purgeTrash() removes them TRASH_GRACE_DAYS later.
+const TRASH_GRACE_DAYS = parseGraceDays(process.env.TRASH_GRACE_DAYS);
+
+function parseGraceDays(value) {
+    const days = value === undefined || value === '' ? 7 : Number(value);
+    if (!Number.isFinite(days) || days < 0) throw new Error('TRASH_GRACE_DAYS must be a number of days (0 or more)');
+    return days;
+}
+
+// Resolves to { purge_at } (UTC), or null when the upload was already trashed.
+// Its cached renditions go right away; a restore renders them again.
+async function trashUpload(id) {
+    const trashed = await dbGet(
+        `UPDATE uploads SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND deleted_at IS NULL
+         RETURNING datetime(deleted_at, ?) AS purge_at`,
+        [id, `+${TRASH_GRACE_DAYS} days`]
+    );
+    if (trashed) dropCachedRenditions(id);
+    return trashed;
+}
+
+// A restored upload that had already expired (or used up its downloads) would
+// go straight back to the trash, so those limits are removed. Resolves to
+// { removed_limits }: the fields that were cleared (expires_at,
+// downloads_remaining), so the caller can tell the owner.
+async function restoreUpload(id) {
+    const now = new Date().toISOString();
+    const row = await dbGet('SELECT expires_at, downloads_remaining FROM uploads WHERE id = ?', [id]);
+    const removed = [];
+    if (row && row.expires_at !== null && row.expires_at <= now) removed.push('expires_at');
+    if (row && row.downloads_remaining !== null && row.downloads_remaining <= 0) removed.push('downloads_remaining');
+    await dbRun(
+        `UPDATE uploads SET deleted_at = NULL,
+                expires_at = CASE WHEN expires_at <= ? THEN NULL ELSE expires_at END,
+                downloads_remaining = CASE WHEN downloads_remaining <= 0 THEN NULL ELSE downloads_remaining END
+         WHERE id = ?`,
+        [now, id]
+    );
+    return { removed_limits: removed };
+}
+
+const REMOVED_LIMIT_LABELS = { expires_at: 'expiry date', downloads_remaining: 'download limit' };
+
+// Permanently delete trashed uploads past the grace period; resolves to the count
+async function purgeTrash() {
+    const rows = await dbAll(
+        `SELECT id, filename, variants, content_hash FROM uploads
+         WHERE deleted_at IS NOT NULL AND deleted_at <= datetime('now', ?)`,
+        [`-${TRASH_GRACE_DAYS} days`]
+    );
+    for (const row of rows) await purgeUploadRow(row);
+    return rows.length;
+}
+
+// Remove an upload's /api/image renditions from the disk cache (best effort)
+function dropCachedRenditions(id) {
+    imageCache.invalidate(id).catch((err) => console.error('Error clearing cached renditions:', err.message));
+}
+
+// Delete an uploads row ({ id, filename, variants, content_hash }) with its
+// comments, likes, tags, album items and older versions (foreign key
+// cascades) and release its files and cached renditions. A file stays in
+// storage while other uploads share the same content.
+async function purgeUploadRow(row) {
+    const versions = await dbAll('SELECT filename, variants, content_hash FROM upload_versions WHERE upload_id = ?', [row.id]);
+    await dbRun('DELETE FROM uploads WHERE id = ?', [row.id]);
+    releaseBlob(row.content_hash, row.filename, parseVariants(row.variants));
+    versions.forEach((v) => releaseBlob(v.content_hash, v.filename, parseVariants(v.variants)));
+    dropCachedRenditions(row.id);
+}
+
+// Albums
+
+const MAX_ALBUM_FILES = 50;
+
+// Album listing columns: item count and the first item as cover
+const ALBUM_COLUMNS = `albums.id, albums.title, albums.description, albums.uploader_name, albums.created_at,
+    (SELECT COUNT(*) FROM album_items ai JOIN uploads u ON u.id = ai.upload_id
+     WHERE ai.album_id = albums.id AND ${visibleUploadSql('u')}) AS item_count,
+    (SELECT u.filename FROM album_items ai JOIN uploads u ON u.id = ai.upload_id
+     WHERE ai.album_id = albums.id AND ${visibleUploadSql('u')} ORDER BY ai.position, ai.upload_id LIMIT 1) AS cover_filename,
+    (SELECT u.variants FROM album_items ai JOIN uploads u ON u.id = ai.upload_id
+     WHERE ai.album_id = albums.id AND ${visibleUploadSql('u')} ORDER BY ai.position, ai.upload_id LIMIT 1) AS cover_variants`;
+
+const ALBUM_RECENT_ORDER = [
+    { expr: 'albums.created_at', key: 'created_at', dir: 'DESC' },
+    { expr: 'albums.id', key: 'id', dir: 'DESC' }
+];
+const ALBUM_RELEVANCE_ORDER = [
+    { expr: 'm.score', key: 'score', dir: 'ASC' },
+    { expr: 'albums.id', key: 'id', dir: 'DESC' }
+];
 
-    db.get('SELECT filename, secret_code FROM uploads WHERE id = ?', [id], (err, row) => {
+function serializeAlbum(row) {
+    const { cover_filename, cover_variants, score, ...album } = row;
+    album.cover = cover_filename
+        ? { filename: cover_filename, variants: variantUrls(parseVariants(cover_variants)) }
+        : null;
+    return album;
+}
+
+function discardTempFiles(files) {
+    (files || []).forEach((file) => fs.unlink(file.path, () => {}));
+}
+
+// Run album files through createUpload one at a time and link the ones that
+// are accepted. Refused files are reported in `skipped` instead of failing the
+// whole request. Resolves to { uploads, skipped }.
+async function addFilesToAlbum(albumId, files, fields, titles) {
+    const { next } = await dbGet('SELECT COALESCE(MAX(position), -1) + 1 AS next FROM album_items WHERE album_id = ?', [albumId]);
+    const uploads = [];
+    const skipped = [];
+    for (let i = 0; i < files.length; i++) {
+        const file = files[i];
+        const title = String(titles[i] || '').trim() || path.parse(file.originalname).name;
+        try {
+            const created = await createUpload(file, { ...fields, title });
+            await dbRun('INSERT INTO album_items (album_id, upload_id, position) VALUES (?, ?, ?)', [albumId, created.id, next + uploads.length]);
+            uploads.push(created);
+        } catch (err) {
+            if (!err.status) console.error('Error processing album file:', err.message);
+            skipped.push({ name: file.originalname, error: err.message, ...err.body });
+        }
+    }
+    return { uploads, skipped };
+}
+
+// Shared form fields for files uploaded into an album from `ip`. Throws a 400
+// httpError for an invalid expiry.
+function albumFileFields(body, album, ip) {
+    return {
+        description: body.description,
+        tagNames: parseTags(body.tags),
+        uploaderName: album.uploader_name,
+        uploaderIp: ip,
+        secretHash: album.secret_hash,
+        ...parseExpiryFields(body),
+        keepCamera: isChecked(body.keep_camera_metadata),
+        allowDuplicate: isChecked(body.allow_duplicate)
+    };
+}
+
+// `titles` may be sent once per file (multipart repeats the field)
+function fileTitles(body) {
+    return [].concat(body.titles || []);
+}
+
+// List albums (paginated); ?q= searches title, description and uploader
+app.get('/api/albums', (req, res) => {
+    const { include, exclude } = parseSearchQuery(req.query.q);
+    const queryMatch = toMatchExpression(include);
+    const order = queryMatch ? ALBUM_RELEVANCE_ORDER : ALBUM_RECENT_ORDER;
+    const page = parsePageParams(req.query, order);
+    if (page.error) {
+        return res.status(400).json({ error: page.error });
+    }
+
+    let from = 'albums';
+    let select = ALBUM_COLUMNS;
+    const where = [];
+    const params = [];
+    if (queryMatch) {
+        from = `albums JOIN (
+            SELECT rowid AS match_id, bm25(albums_fts, 10.0, 2.0, 1.0) AS score
+            FROM albums_fts WHERE albums_fts MATCH ?
+        ) m ON m.match_id = albums.id`;
+        select = `${ALBUM_COLUMNS}, m.score`;
+        params.push(queryMatch);
+    }
+    const excludeMatch = toMatchExpression(exclude.map((term) => ({ ...term, phrase: true })), 'OR');
+    if (excludeMatch) {
+        where.push('albums.id NOT IN (SELECT rowid FROM albums_fts WHERE albums_fts MATCH ?)');
+        params.push(excludeMatch);
+    }
+
+    fetchPage(db, { select, from, where, params, order, limit: page.limit, after: page.after }, (err, result) => {
         if (err) return res.status(500).json({ error: err.message });
-        if (!row) return res.status(404).json({ error: 'File not found' });
-        if (secret_code !== ADMIN_SECRET && row.secret_code !== secret_code) return res.status(403).json({ error: 'Invalid secret code' });
-
-        // Delete file from disk
-        const filePath = path.join(__dirname, 'uploads', row.filename);
-        fs.unlink(filePath, (unlinkErr) => {
-            if (unlinkErr && unlinkErr.code !== 'ENOENT') {
-                // If file missing, continue to delete DB row anyway
-                console.error('Error deleting file:', unlinkErr.message);
-            }
-            db.run('DELETE FROM uploads WHERE id = ?', [id], function(delErr) {
-                if (delErr) return res.status(500).json({ error: delErr.message });
-                return res.json({ message: 'Deleted successfully' });
+        res.json({ ...result, items: result.items.map(serializeAlbum) });
+    });
+});
+
+// Create an album from several files in one request. Fields: title,
+// description, uploader_name, tags, auto_delete / expires_at, max_downloads,
+// keep_camera_metadata,
+// allow_duplicate, one `titles` value per file and the `files` themselves.
+// Every upload in the album shares the album's secret code.
+app.post('/api/albums', upload.array('files', MAX_ALBUM_FILES), async (req, res) => {
+    const files = req.files || [];
+    const { title, description, uploader_name } = req.body;
+    if (files.length === 0) {
+        return res.status(400).json({ error: 'No files uploaded' });
+    }
+    if (!title || !uploader_name) {
+        discardTempFiles(files);
+        return res.status(400).json({ error: 'Album title and uploader name are required' });
+    }
+
+    const secretCode = generateSecretCode();
+    try {
+        await assertNotBanned(req, uploader_name);
+        const secretHash = await hashSecretCode(secretCode);
+        const album = { uploader_name, secret_hash: secretHash };
+        // The album description is not copied onto each file
+        const fields = albumFileFields({ ...req.body, description: '' }, album, req.ip);
+        const { lastID: albumId } = await dbRun(
+            'INSERT INTO albums (title, description, uploader_name, secret_hash) VALUES (?, ?, ?, ?)',
+            [title, description || '', uploader_name, secretHash]
+        );
+        const { uploads, skipped } = await addFilesToAlbum(albumId, files, fields, fileTitles(req.body));
+
+        if (uploads.length === 0) {
+            await dbRun('DELETE FROM albums WHERE id = ?', [albumId]);
+            return res.status(400).json({ error: 'None of the files could be uploaded', skipped });
+        }
+        res.json({
+            message: 'Album created successfully',
+            id: albumId,
+            title,
+            secret_code: secretCode,
+            uploads,
+            skipped
+        });
+    } catch (err) {
+        discardTempFiles(files);
+        sendError(res, err);
+    }
+});
+
+// One album with all of its uploads in gallery order
+app.get('/api/albums/:id', (req, res) => {
+    const { id } = req.params;
+    db.get(`SELECT ${ALBUM_COLUMNS} FROM albums WHERE albums.id = ?`, [id], (err, row) => {
+        if (err) return res.status(500).json({ error: err.message });
+        if (!row) return res.status(404).json({ error: 'Album not found' });
+
+        const itemsSql = `SELECT ${UPLOAD_COLUMNS}, ${LIKED_BY_ME_COLUMN}
+                          FROM uploads JOIN album_items ai ON ai.upload_id = uploads.id
+                          WHERE ai.album_id = ? AND ${VISIBLE_UPLOAD_SQL} ORDER BY ai.position, ai.upload_id`;
+        db.all(itemsSql, [req.visitorId, id], (itemsErr, items) => {
+            if (itemsErr) return res.status(500).json({ error: itemsErr.message });
+            res.json({ ...serializeAlbum(row), items: items.map(serializeUpload) });
+        });
+    });
+});
+
+// Load an album and check its secret code or the admin token; calls
+// next(album) or responds with an error (dropping any files multer already received)
+function withAlbumSecret(req, res, next) {
+    dbGet('SELECT id, uploader_name, secret_hash FROM albums WHERE id = ?', [req.params.id])
+        .then((album) => {
+            if (!album) throw httpError(404, 'Album not found');
+            return authorizeOwner(req, { type: 'album', id: album.id, secretHash: album.secret_hash }).then(() => album);
+        })
+        .then(next, (err) => {
+            discardTempFiles(req.files);
+            sendError(res, err);
+        });
+}
+
+// Update album title/description (requires the album's secret_code)
+app.put('/api/albums/:id', (req, res) => {
+    withAlbumSecret(req, res, (album) => {
+        const { title, description } = req.body;
+        const fields = [];
+        const params = [];
+        if (typeof title === 'string' && title.trim() !== '') { fields.push('title = ?'); params.push(title.trim()); }
+        if (typeof description === 'string') { fields.push('description = ?'); params.push(description); }
+        if (fields.length === 0) {
+            return res.status(400).json({ error: 'No fields to update' });
+        }
+        params.push(album.id);
+        db.run(`UPDATE albums SET ${fields.join(', ')} WHERE id = ?`, params, (err) => {
+            if (err) return res.status(500).json({ error: err.message });
+            res.json({ message: 'Updated successfully' });
+        });
+    });
+});
+
+// Delete an album. Its uploads stay; they keep the album's secret code.
+app.delete('/api/albums/:id', (req, res) => {
+    withAlbumSecret(req, res, (album) => {
+        db.run('DELETE FROM albums WHERE id = ?', [album.id], (err) => {
+            if (err) return res.status(500).json({ error: err.message });
+            res.json({ message: 'Album deleted' });
+        });
+    });
+});
+
+// Add existing uploads to an album: { secret_code, upload_ids: [..] }
+// Only visible uploads by the album's uploader can be added; the others are
+// reported in `skipped` ({ id, error }), like files refused by addFilesToAlbum.
+app.post('/api/albums/:id/items', (req, res) => {
+    withAlbumSecret(req, res, async (album) => {
+        const ids = [].concat(req.body.upload_ids || req.body.upload_id || [])
+            .map((v) => parseInt(v, 10))
+            .filter(Number.isInteger);
+        if (ids.length === 0) {
+            return res.status(400).json({ error: 'upload_ids is required' });
+        }
+        try {
+            const rows = await dbAll(
+                `SELECT id, uploader_name FROM uploads WHERE id IN (SELECT value FROM json_each(?)) AND ${VISIBLE_UPLOAD_SQL}`,
+                [JSON.stringify(ids)]
+            );
+            const found = new Map(rows.map((row) => [row.id, row]));
+            const accepted = [];
+            const skipped = [];
+            ids.forEach((id) => {
+                const row = found.get(id);
+                if (!row) {
+                    skipped.push({ id, error: 'Upload not found' });
+                } else if (row.uploader_name.toLowerCase() !== album.uploader_name.toLowerCase()) {
+                    skipped.push({ id, error: `Only uploads by ${album.uploader_name} can be added` });
+                } else {
+                    accepted.push(id);
+                }
+            });
+
+            // Keep the requested order after the current last item
+            const { changes } = await dbRun(
+                `INSERT OR IGNORE INTO album_items (album_id, upload_id, position)
+                 SELECT ?, j.value, (SELECT COALESCE(MAX(position), -1) + 1 FROM album_items WHERE album_id = ?) + j.key
+                 FROM json_each(?) j`,
+                [album.id, album.id, JSON.stringify(accepted)]
+            );
+            res.json({ message: 'Album updated', added: changes, skipped });
+        } catch (err) {
+            sendError(res, err);
+        }
+    });
+});
+
+// Upload new files straight into an existing album (multipart, like POST /api/albums)
+app.post('/api/albums/:id/uploads', upload.array('files', MAX_ALBUM_FILES), (req, res) => {
+    withAlbumSecret(req, res, async (album) => {
+        const files = req.files || [];
+        if (files.length === 0) {
+            return res.status(400).json({ error: 'No files uploaded' });
+        }
+        try {
+            await assertNotBanned(req, album.uploader_name);
+            const { uploads, skipped } = await addFilesToAlbum(album.id, files, albumFileFields(req.body, album, req.ip), fileTitles(req.body));
+            res.status(uploads.length ? 200 : 400).json({
+                message: uploads.length ? 'Files added to album' : 'None of the files could be uploaded',
+                uploads,
+                skipped
             });
+        } catch (err) {
+            discardTempFiles(files);
+            sendError(res, err);
+        }
+    });
+});
+
+// Remove an upload from an album (the upload itself is kept)
+app.delete('/api/albums/:id/items/:uploadId', (req, res) => {
+    withAlbumSecret(req, res, (album) => {
+        db.run('DELETE FROM album_items WHERE album_id = ? AND upload_id = ?', [album.id, req.params.uploadId], function(err) {
+            if (err) return res.status(500).json({ error: err.message });
+            if (this.changes === 0) return res.status(404).json({ error: 'Upload is not in this album' });
+            res.json({ message: 'Removed from album' });
         });
     });
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`Server running on http://localhost:${PORT}`);
+// Bulk ZIP downloads
+
+const DEFAULT_ZIP_FILES = 100;
+const MAX_ZIP_FILES = 200;
+const MANIFEST_FORMATS = ['json', 'csv', 'both'];
+
+function zipLimit(query) {
+    const limit = parseInt(query.limit, 10);
+    return Number.isInteger(limit) && limit > 0 ? Math.min(limit, MAX_ZIP_FILES) : DEFAULT_ZIP_FILES;
+}
+
+// Stream `rows` (uploads rows, in order) as <baseName>.zip with a manifest.
+// Entries use the original filenames ("name (2).jpg" on collisions); files
+// missing from storage are left out, and so are uploads whose download limit
+// is used up: every included file uses up one download before streaming starts.
+async function sendZip(req, res, rows, baseName) {
+    const format = req.query.manifest || 'both';
+    if (!MANIFEST_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `manifest must be one of: ${MANIFEST_FORMATS.join(', ')}` });
+    }
+
+    const stored = [];
+    for (const row of rows) {
+        if (!(await storage.exists(row.filename))) {
+            console.error(`ZIP download: file missing for upload #${row.id}`);
+            continue;
+        }
+        stored.push(row);
+    }
+    const granted = new Set(stored.length ? await takeDownloads(stored.map((row) => row.id)) : []);
+    const used = new Set(['manifest.json', 'manifest.csv']);
+    const included = stored
+        .filter((row) => granted.has(row.id))
+        .map((row) => ({ row, name: uniqueEntryName(entryName(row), used) }));
+    if (included.length === 0) {
+        return res.status(404).json({ error: 'No files to download' });
+    }
+
+    const manifest = included.map(({ row, name }) => ({
+        id: row.id,
+        file: name,
+        title: row.title,
+        description: row.description,
+        uploader_name: row.uploader_name,
+        tags: parseTags(row.tags),
+        upload_date: row.upload_date,
+        like_count: row.like_count,
+        download_count: row.download_count
+    }));
+
+    res.attachment(`${baseName}.zip`);
+    // Images are already compressed, so entries are stored as-is
+    const archive = archiver('zip', { store: true });
+    archive.on('warning', (warning) => console.error('ZIP warning:', warning.message));
+    archive.on('error', (err) => {
+        console.error('Error creating ZIP:', err.message);
+        res.destroy(err);
+    });
+
+    archive.pipe(res);
+    included.forEach((e) => archive.append(lazyStream(storage, e.row.filename), { name: e.name }));
+    if (format !== 'csv') {
+        const json = { source: baseName, generated_at: new Date().toISOString(), count: manifest.length, files: manifest };
+        archive.append(JSON.stringify(json, null, 2), { name: 'manifest.json' });
+    }
+    if (format !== 'json') {
+        archive.append(toCsv(manifest), { name: 'manifest.csv' });
+    }
+    archive.finalize();
+}
+
+function sendZipError(res, err) {
+    console.error('Error preparing ZIP:', err.message);
+    if (!res.headersSent) res.status(500).json({ error: err.message });
+}
+
+// Selected uploads: /api/zip/uploads?ids=3,8,12 (archive keeps that order)
+app.get('/api/zip/uploads', (req, res) => {
+    const ids = String(req.query.ids || '').split(',')
+        .map((v) => parseInt(v, 10))
+        .filter(Number.isInteger)
+        .slice(0, MAX_ZIP_FILES);
+    if (ids.length === 0) {
+        return res.status(400).json({ error: 'ids is required' });
+    }
+    const sql = `SELECT ${UPLOAD_COLUMNS} FROM uploads
+                 JOIN (SELECT key AS pos, value AS upload_id FROM json_each(?)) j ON j.upload_id = uploads.id
+                 WHERE ${VISIBLE_UPLOAD_SQL}
+                 ORDER BY j.pos`;
+    dbAll(sql, [JSON.stringify(ids)])
+        .then((rows) => sendZip(req, res, rows, 'pixelvault-selection'))
+        .catch((err) => sendZipError(res, err));
+});
+
+// Search results, same parameters as /api/search plus ?limit=
+app.get('/api/zip/search', (req, res) => {
+    const { q, tag } = req.query;
+    const filters = parseImageFilters(req.query);
+    if (filters.error) return res.status(400).json({ error: filters.error });
+    const { queryMatch, ...query } = buildSearchQuery(q, tag, filters);
+    const name = `pixelvault-search-${slugify([q, tag].filter(Boolean).join(' '), 'all')}`;
+    fetchPageAsync(db, { ...visibleOnly(query), limit: zipLimit(req.query), after: null })
+        .then((page) => sendZip(req, res, page.items, name))
+        .catch((err) => sendZipError(res, err));
+});
+
+// Leaderboard, same parameters as /api/leaderboard plus ?limit= (e.g. limit=20)
+app.get('/api/zip/leaderboard', (req, res) => {
+    const leaderboard = parseLeaderboardParams(req.query);
+    if (leaderboard.error) {
+        return res.status(400).json({ error: leaderboard.error });
+    }
+    const name = `pixelvault-${leaderboard.board}-${leaderboard.window ? leaderboard.window.label : 'all-time'}`;
+    fetchPageAsync(db, { ...visibleOnly(buildLeaderboardQuery(leaderboard)), limit: zipLimit(req.query), after: null })
+        .then((page) => sendZip(req, res, page.items, name))
+        .catch((err) => sendZipError(res, err));
+});
+
+// Every image of an album, in gallery order
+app.get('/api/zip/albums/:id', (req, res) => {
+    const { id } = req.params;
+    dbGet('SELECT title FROM albums WHERE id = ?', [id])
+        .then(async (album) => {
+            if (!album) return res.status(404).json({ error: 'Album not found' });
+            const rows = await dbAll(`SELECT ${UPLOAD_COLUMNS} FROM uploads JOIN album_items ai ON ai.upload_id = uploads.id
+                                      WHERE ai.album_id = ? AND ${VISIBLE_UPLOAD_SQL} ORDER BY ai.position, ai.upload_id LIMIT ?`, [id, MAX_ZIP_FILES]);
+            return sendZip(req, res, rows, `album-${slugify(album.title, id)}`);
+        })
+        .catch((err) => sendZipError(res, err));
+});
+
+// Moderation: visitor reports, and the admin API behind admin.html
+
+// Each visitor IP may file 10 reports an hour
+const reportAttempts = createAttemptLimiter({ maxFailures: 10, windowMs: 60 * 60 * 1000, lockoutMs: 60 * 60 * 1000 });
+
+// Report an upload or a comment: { target_type, target_id, reason, details? }
+app.post('/api/reports', async (req, res) => {
+    const { target_type, reason, details } = req.body || {};
+    const targetId = parseInt((req.body || {}).target_id, 10);
+    if (!REPORT_TARGETS.includes(target_type) || !Number.isInteger(targetId)) {
+        return res.status(400).json({ error: `target_type (${REPORT_TARGETS.join(', ')}) and target_id are required` });
+    }
+    if (!REPORT_REASONS.includes(reason)) {
+        return res.status(400).json({ error: `reason must be one of: ${REPORT_REASONS.join(', ')}` });
+    }
+    const wait = reportAttempts.retryAfter(req.ip);
+    if (wait) return sendError(res, tooManyAttempts(wait, 'Too many reports, try again later'));
+
+    try {
+        const table = target_type === 'upload' ? 'uploads' : 'comments';
+        const visible = target_type === 'upload' ? VISIBLE_UPLOAD_SQL : 'hidden = 0';
+        const target = await dbGet(`SELECT id FROM ${table} WHERE id = ? AND ${visible}`, [targetId]);
+        if (!target) throw httpError(404, `${target_type === 'upload' ? 'File' : 'Comment'} not found`);
+        const { lastID } = await dbRun(
+            'INSERT INTO reports (target_type, target_id, reason, details, visitor_id, ip) VALUES (?, ?, ?, ?, ?, ?)',
+            [target_type, targetId, reason, String(details || '').slice(0, 2000), req.visitorId, req.ip]
+        );
+        reportAttempts.fail(req.ip);
+        res.json({ message: 'Thank you, a moderator will review this', id: lastID });
+    } catch (err) {
+        if (err.code === 'SQLITE_CONSTRAINT') {
+            return res.status(409).json({ error: 'You have already reported this' });
+        }
+        sendError(res, err);
+    }
+});
+
+// Every /api/admin route needs the admin token (X-Admin-Token). Rejected
+// tokens are audited and count against the per-IP lockout.
+function requireAdmin(req, res, next) {
+    const wait = ipAttempts.retryAfter(req.ip);
+    if (wait) return sendError(res, tooManyAttempts(wait));
+    if (ADMIN_TOKEN === '') return res.status(403).json({ error: 'Admin access is disabled (set ADMIN_TOKEN)' });
+
+    if (safeEqual(req.get('X-Admin-Token') || '', ADMIN_TOKEN)) return next();
+    auditAdmin(req, { type: null, id: null }, false);
+    ipAttempts.fail(req.ip);
+    res.status(403).json({ error: 'Invalid admin token' });
+}
+
+app.use('/api/admin', requireAdmin);
+
+// Run an admin change, audit it and send its result
+function runAdminAction(req, res, target, details, work) {
+    work()
+        .then((result) => {
+            auditAdmin(req, target, true, details);
+            res.json(result);
+        })
+        .catch((err) => sendError(res, err));
+}
+
+// Paginated admin list (same envelope as the public lists)
+function sendAdminPage(req, res, spec, mapRow = (row) => row) {
+    const page = parsePageParams(req.query, spec.order);
+    if (page.error) {
+        return res.status(400).json({ error: page.error });
+    }
+    fetchPage(db, { where: [], params: [], ...spec, limit: page.limit, after: page.after }, (err, result) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json({ ...result, items: result.items.map(mapRow) });
+    });
+}
+
+// ?hidden=1 / ?hidden=0 filter for admin lists
+function hiddenFilter(query, column) {
+    if (query.hidden === undefined || query.hidden === '') return [];
+    return [`${column} = ${isChecked(query.hidden) ? 1 : 0}`];
+}
+
+// Lets admin.html check a token before showing the console
+app.get('/api/admin/session', (req, res) => {
+    res.json({ ok: true });
 });
 
+const REPORT_COLUMNS = `r.id, r.target_type, r.target_id, r.reason, r.details, r.status, r.ip AS reporter_ip,
+    r.created_at, r.resolved_at,
+    (SELECT COUNT(*) FROM reports o WHERE o.target_type = r.target_type AND o.target_id = r.target_id
+     AND o.status = 'open') AS open_reports,
+    u.id AS upload_id, u.title AS upload_title, u.filename, u.variants, u.uploader_name, u.uploader_ip,
+    u.hidden AS upload_hidden,
+    c.id AS comment_id, c.name AS comment_name, c.comment, c.ip AS comment_ip, c.hidden AS comment_hidden`;
+
+// Reported comments are shown with the upload they belong to
+const REPORT_FROM = `reports r
+    LEFT JOIN comments c ON r.target_type = 'comment' AND c.id = r.target_id
+    LEFT JOIN uploads u ON u.id = CASE r.target_type WHEN 'upload' THEN r.target_id ELSE c.upload_id END`;
+
+function serializeReport(row) {
+    return {
+        id: row.id,
+        target_type: row.target_type,
+        target_id: row.target_id,
+        reason: row.reason,
+        details: row.details,
+        status: row.status,
+        reporter_ip: row.reporter_ip,
+        created_at: row.created_at,
+        resolved_at: row.resolved_at,
+        open_reports: row.open_reports,
+        upload: row.upload_id === null ? null : {
+            id: row.upload_id,
+            title: row.upload_title,
+            filename: row.filename,
+            variants: variantUrls(parseVariants(row.variants)),
+            uploader_name: row.uploader_name,
+            uploader_ip: row.uploader_ip,
+            hidden: Boolean(row.upload_hidden)
+        },
+        comment: row.comment_id === null ? null : {
+            id: row.comment_id,
+            name: row.comment_name,
+            comment: row.comment,
+            ip: row.comment_ip,
+            hidden: Boolean(row.comment_hidden)
+        }
+    };
+}
+
+// Reports, newest first: ?status=open (default) | resolved | dismissed | all
+app.get('/api/admin/reports', (req, res) => {
+    const status = req.query.status || 'open';
+    if (status !== 'all' && !REPORT_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${REPORT_STATUSES.join(', ')}, all` });
+    }
+    sendAdminPage(req, res, {
+        select: REPORT_COLUMNS,
+        from: REPORT_FROM,
+        where: status === 'all' ? [] : ['r.status = ?'],
+        params: status === 'all' ? [] : [status],
+        order: [{ expr: 'r.id', key: 'id', dir: 'DESC' }]
+    }, serializeReport);
+});
+
+// Close a report without acting on its target: { status: 'resolved' | 'dismissed' | 'open' }
+app.put('/api/admin/reports/:id', (req, res) => {
+    const { status } = req.body || {};
+    const id = parseInt(req.params.id, 10);
+    if (!REPORT_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${REPORT_STATUSES.join(', ')}` });
+    }
+    runAdminAction(req, res, { type: 'report', id }, { status }, async () => {
+        const { changes } = await dbRun(
+            `UPDATE reports SET status = ?, resolved_at = CASE WHEN ? = 'open' THEN NULL ELSE CURRENT_TIMESTAMP END WHERE id = ?`,
+            [status, status, id]
+        );
+        if (changes === 0) throw httpError(404, 'Report not found');
+        return { message: 'Report updated' };
+    });
+});
+
+// Acting on a target closes its open reports
+function resolveReports(targetType, ids) {
+    return dbRun(
+        `UPDATE reports SET status = 'resolved', resolved_at = CURRENT_TIMESTAMP
+         WHERE status = 'open' AND target_type = ? AND target_id IN (SELECT value FROM json_each(?))`,
+        [targetType, JSON.stringify(ids)]
+    );
+}
+
+const MODERATION_TARGETS = {
+    uploads: { type: 'upload', table: 'uploads' },
+    comments: { type: 'comment', table: 'comments' }
+};
+const MAX_BULK_IDS = 200;
+const BULK_ACTION_DONE = { hide: 'hidden', unhide: 'unhidden', delete: 'deleted' };
+
+// Hide, unhide or delete uploads / comments in bulk: { ids: [..] }
+app.post('/api/admin/:kind(uploads|comments)/:action(hide|unhide|delete)', (req, res) => {
+    const { type, table } = MODERATION_TARGETS[req.params.kind];
+    const { action } = req.params;
+    const ids = parseIdList((req.body || {}).ids).slice(0, MAX_BULK_IDS);
+    if (ids.length === 0) {
+        return res.status(400).json({ error: 'ids is required' });
+    }
+    const json = JSON.stringify(ids);
+
+    runAdminAction(req, res, { type, id: ids.length === 1 ? ids[0] : null }, { ids }, async () => {
+        let affected;
+        if (action !== 'delete') {
+            ({ changes: affected } = await dbRun(
+                `UPDATE ${table} SET hidden = ? WHERE id IN (SELECT value FROM json_each(?))`,
+                [action === 'hide' ? 1 : 0, json]
+            ));
+            if (type === 'upload' && action === 'hide') ids.forEach(dropCachedRenditions);
+        } else if (type === 'upload') {
+            const rows = await dbAll('SELECT id, filename, variants, content_hash FROM uploads WHERE id IN (SELECT value FROM json_each(?))', [json]);
+            for (const row of rows) await purgeUploadRow(row);
+            affected = rows.length;
+        } else {
+            ({ changes: affected } = await deleteCommentTrees(ids));
+        }
+        if (action !== 'unhide') await resolveReports(type, ids);
+        return { message: `${affected} ${req.params.kind} ${BULK_ACTION_DONE[action]}`, affected };
+    });
+});
+
+// All uploads including hidden and trashed ones, with uploader IPs: ?hidden=0|1
+app.get('/api/admin/uploads', (req, res) => {
+    sendAdminPage(req, res, {
+        select: `${UPLOAD_COLUMNS}, hidden, deleted_at, broken_at, broken_reason, uploader_ip,
+                 (SELECT COUNT(*) FROM reports r WHERE r.target_type = 'upload' AND r.target_id = uploads.id
+                  AND r.status = 'open') AS open_reports`,
+        from: 'uploads',
+        where: hiddenFilter(req.query, 'hidden'),
+        order: RECENT_ORDER
+    }, (row) => ({ ...serializeUpload(row), hidden: Boolean(row.hidden), deleted_at: row.deleted_at }));
+});
+
+// Storage integrity check (lib/fsck.js). GET only reports; POST
+// { hashes?, quarantine?, mark_broken? } also applies the chosen fixes.
+// ?hashes=1 / hashes re-reads every original. One check runs at a time.
+let fsckRunning = false;
+async function runFsck(work) {
+    if (fsckRunning) throw httpError(409, 'A storage check is already running');
+    fsckRunning = true;
+    try {
+        return await work(promiseDb(db));
+    } finally {
+        fsckRunning = false;
+    }
+}
+
+app.get('/api/admin/fsck', (req, res) => {
+    runFsck((q) => checkStorage({ q, storage, hashes: isChecked(req.query.hashes) }))
+        .then((report) => res.json(report))
+        .catch((err) => sendError(res, err));
+});
+
+app.post('/api/admin/fsck', (req, res) => {
+    const body = req.body || {};
+    const options = { hashes: isChecked(body.hashes), quarantine: isChecked(body.quarantine), mark_broken: isChecked(body.mark_broken) };
+    // Outcome counts are added once the work is done, so the audit entry records them
+    const details = { ...options };
+    runAdminAction(req, res, { type: null, id: null }, details, () => runFsck(async (q) => {
+        const report = await checkStorage({ q, storage, hashes: options.hashes });
+        details.problems = problemCount(report);
+        if (options.quarantine) {
+            report.quarantined = await quarantineOrphans({ q, storage, report });
+            details.quarantined = report.quarantined.moved;
+        }
+        if (options.mark_broken) {
+            report.marked = await markBroken({ q, report });
+            Object.assign(details, report.marked);
+        }
+        return report;
+    }));
+});
+
+// Comments including hidden ones: ?hidden=0|1
+app.get('/api/admin/comments', (req, res) => {
+    sendAdminPage(req, res, {
+        select: 'c.id, c.upload_id, c.name, c.comment, c.ip, c.hidden, c.created_at, u.title AS upload_title',
+        from: 'comments c LEFT JOIN uploads u ON u.id = c.upload_id',
+        where: hiddenFilter(req.query, 'c.hidden'),
+        order: [{ expr: 'c.id', key: 'id', dir: 'DESC' }]
+    }, (row) => ({ ...row, hidden: Boolean(row.hidden) }));
+});
+
+// Bans on uploader/commenter names and IPs
+app.get('/api/admin/bans', (req, res) => {
+    db.all('SELECT id, kind, value, reason, created_at FROM bans ORDER BY id DESC', [], (err, rows) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json(rows);
+    });
+});
+
+// { kind: 'name' | 'ip', value, reason? }
+app.post('/api/admin/bans', (req, res) => {
+    const { kind, reason } = req.body || {};
+    if (!BAN_KINDS.includes(kind)) {
+        return res.status(400).json({ error: `kind must be one of: ${BAN_KINDS.join(', ')}` });
+    }
+    const value = normalizeBanValue(kind, (req.body || {}).value);
+    if (!value) return res.status(400).json({ error: 'value is required' });
+
+    runAdminAction(req, res, { type: 'ban', id: null }, { kind, value }, async () => {
+        try {
+            const { lastID } = await dbRun('INSERT INTO bans (kind, value, reason) VALUES (?, ?, ?)', [kind, value, String(reason || '').slice(0, 500)]);
+            return { message: `Banned ${kind} ${value}`, id: lastID };
+        } catch (err) {
+            throw err.code === 'SQLITE_CONSTRAINT' ? httpError(409, 'Already banned') : err;
+        }
+    });
+});
+
+app.delete('/api/admin/bans/:id', (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    runAdminAction(req, res, { type: 'ban', id }, null, async () => {
+        const { changes } = await dbRun('DELETE FROM bans WHERE id = ?', [id]);
+        if (changes === 0) throw httpError(404, 'Ban not found');
+        return { message: 'Ban removed' };
+    });
+});
+
+// Audit log, newest first
+app.get('/api/admin/audit', (req, res) => {
+    sendAdminPage(req, res, {
+        select: 'id, action, target_type, target_id, ip, success, details, created_at',
+        from: 'admin_audit',
+        order: [{ expr: 'id', key: 'id', dir: 'DESC' }]
+    }, (row) => ({ ...row, success: Boolean(row.success), details: row.details ? JSON.parse(row.details) : null }));
+});
+
+// Start server
+// Apply pending schema migrations, then start serving. The trash job runs
+// once right away so uploads that expired while the server was down go now,
+// not at the first hourly run.
+migrateUp(db, { log: (message) => console.log(message) })
+    .then(() => {
+        runTrashJobs();
+        app.listen(PORT, () => {
+            console.log(`Server running on http://localhost:${PORT}`);
+        });
+    })
+    .catch((err) => {
+        console.error('Database migration failed:', err.message);
+        process.exit(1);
+    });
+
 // Graceful shutdown
 process.on('SIGINT', () => {
     db.close((err) => {